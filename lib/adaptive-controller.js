@@ -5,18 +5,69 @@
  * for smooth temperature regulation in heating and cooling systems.
  */
 
+const CompressorGuard = require('./compressor-guard');
+const RelayAutotune = require('./relay-autotune');
+const IcsCalendar = require('./ics-calendar');
+const SunTimes = require('./sun-times');
+const ControlQuality = require('./control-quality');
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Limits for all gains (learned, adapted, autotuned, manual). calculatePID works in seconds (Ki in 1/s, Kd in s),
+// so a slow room with an oscillation period of an hour needs a small Ki and a large Kd.
+const GAIN_LIMITS = { Kp: [0.1, 5.0], Ki: [0.00001, 0.5], Kd: [0.0, 10000] };
+
 class AdaptiveController {
     constructor(config = {}) {
+        // Clock (ms timestamp) - injectable for simulation and tests
+        this.now = typeof config.clock === 'function' ? config.clock : Date.now;
+
         // Configuration
         this.minTemp = config.minTemp || 15;
         this.maxTemp = config.maxTemp || 25;
         this.targetTemp = config.targetTemp || 21;
         this.baseTargetTemp = config.targetTemp || 21; // Original target before boost/away
+
+        // Dual setpoint for heat_cool mode (deadband between low and high), null = single target
+        this.baseTargetTempLow = typeof config.targetTempLow === 'number' ? config.targetTempLow : null;
+        this.baseTargetTempHigh = typeof config.targetTempHigh === 'number' ? config.targetTempHigh : null;
+        this.targetTempLow = this.baseTargetTempLow;
+        this.targetTempHigh = this.baseTargetTempHigh;
+        this.deadbandMode = null; // last active mode within deadband ('heat' or 'cool')
         this.hysteresis = config.hysteresis || 0.2;
         this.sampleInterval = config.sampleInterval || 60000; // ms
         this.learningEnabled = config.learningEnabled !== false;
         this.maxOutputChange = config.maxOutputChange || 0.5; // max change per cycle
 
+        // Demand (0-100%) for time-proportional outputs: PID adjustment of demandBand °C = 100%
+        this.demandBand = config.demandBand || 2.0;
+        this.demand = 0;
+
+        // Output mode: 'setpoint' (target ± adjustment in °C) or 'valve' (opening 0-100%)
+        this.outputMode = config.outputMode === 'valve' ? 'valve' : 'setpoint';
+        this.valveRateLimit = config.valveRateLimit || 10; // max % change per cycle
+        this.valveMinOpening = config.valveMinOpening || 0; // %
+        this.valveMaxOpening = config.valveMaxOpening || 100; // %
+        this.failsafeValvePosition = config.failsafeValvePosition !== undefined ? config.failsafeValvePosition : 20; // %
+
+        // Compressor short-cycle protection (AC units, heat pumps)
+        this.compressor = config.compressorProtection
+            ? new CompressorGuard({
+                minRunTime: config.minRunTime,
+                minOffTime: config.minOffTime,
+                maxStartsPerHour: config.maxStartsPerHour
+            })
+            : null;
+        this.compressorRunOutput = null; // last output sent while the compressor was running
+        this.compressorForceStop = false; // last result stops the compressor without minimum run time
+
+        // Control quality metrics per setpoint change and per day
+        this.quality = new ControlQuality({
+            band: config.qualityBand,
+            maxGap: Math.max(900000, this.sampleInterval * 3)
+        });
+        this.adaptationStats = null; // { meanAbsError, stdDev, time } of the last continuous adaptation
+
         // Thermostat precision (step size): 1, 0.5, 0.2, or 0.1 degrees
         this.precision = config.precision || 0.5;
 
@@ -29,14 +80,65 @@ class AdaptiveController {
         // Schedule: { monday: [{time: "06:00", temp: 21}, ...], ..., default: 19 }
         this.schedule = config.schedule || null;
 
+        // Named schedule profiles: { office: { monday: [...], ... }, holidays: {...} }
+        this.scheduleProfiles = config.scheduleProfiles || {};
+        this.activeScheduleProfile = null; // null = schedule not taken from a profile
+
+        // Location for sunrise/sunset-relative slot times ("sunset-30", "sunrise+60")
+        this.latitude = typeof config.latitude === 'number' ? config.latitude : null;
+        this.longitude = typeof config.longitude === 'number' ? config.longitude : null;
+        this.sun = this.latitude !== null && this.longitude !== null
+            ? new SunTimes({ latitude: this.latitude, longitude: this.longitude })
+            : null;
+
+        // Calendar (ICS): events with a summary keyword override the schedule
+        this.calendarKeywords = config.calendarKeywords || []; // [{ keyword, temp }], temp in °C or 'away'
+        this.calendar = null;
+        this.calendarSource = null; // ICS text, kept for persistence
+        this.calendarEvent = null; // event driving the target
+
         // Boost mode
         this.boostActive = false;
         this.boostTemp = null;
-        this.boostEndTime = null;
+        this.boostEndTime = null; // null with boostUntilReached: no time limit
+        this.boostUntilReached = null; // 'rise' | 'fall' - ends once the room crosses boostTemp
+        this.boostReturnTo = null; // setpoint applied when the boost ends
+        this.boostDefaults = { // msg.boost = true and the HA boost preset
+            relative: config.boostRelative !== undefined ? config.boostRelative : 3, // °C above target
+            duration: config.boostDuration || 60 // minutes
+        };
 
         // Away mode
         this.awayMode = false;
         this.awayTemp = config.awayTemp || 16;
+        this.awayStartTime = null;
+        this.awayUntil = null; // return time (ms) - away mode ends by itself
+        this.awayWarmUp = false; // latched once heating resumes ahead of the return
+        this.awayWarmUpStartTime = null; // predicted warm-up start
+
+        // Presence: eco setback once nobody has been home for the grace period
+        this.presenceGracePeriod = config.presenceGracePeriod !== undefined ? config.presenceGracePeriod : 900000; // ms
+        this.ecoSetback = config.ecoSetback !== undefined ? config.ecoSetback : 3; // °C below (heat) / above (cool) target
+        this.occupants = {}; // { person: true/false (home) }
+        this.vacantSince = null; // time the last occupant left
+        this.ecoForced = false; // eco requested manually (msg.eco, HA preset) - ends when someone arrives
+        this.ecoSuspended = false; // presence setback ended manually (msg.eco = false, HA preset none) - until someone arrives
+
+        // Optimal start: preheat so the next (higher) slot temperature is reached at slot time
+        this.optimalStart = config.optimalStart === true;
+        this.maxPreheatTime = config.maxPreheatTime || 10800000; // ms
+        this.heatUpRate = config.heatUpRate || 1.0; // °C/hour, used until rates are learned
+        this.heatUpSamples = []; // learned rates { rate, outdoorTemp }
+        this.heatUpTracking = null; // heat-up transition being measured
+        this.lastTargetTemp = null;
+        this.preheat = null; // { slotKey, startTime } while preheating for next slot
+        this.preheatStartTime = null; // predicted preheat start for next slot
+
+        // Setpoint ramps: move the target linearly to a new schedule temperature.
+        // Slots can set { rampTime: minutes } or { rampRate: °C/h }, otherwise rampRate applies (0 = jump)
+        this.rampRate = config.rampRate || 0; // °C/hour
+        this.ramp = null; // { from, to, startTime, duration } while ramping
+        this.scheduleTarget = null; // final target of the followed schedule (or override/calendar temp)
 
         // Schedule override (for temporary setpoint override in schedule mode)
         this.scheduleOverride = {
@@ -51,6 +153,43 @@ class AdaptiveController {
         this.Ki = config.Ki || 0.02;
         this.Kd = config.Kd || 0.5;
 
+        // Tuning history for rollback (oldest first); frozen gains are not changed by learning/adaptation
+        this.pidHistorySize = config.pidHistorySize || 20;
+        this.pidFrozen = config.pidFrozen === true;
+        this.pidHistory = [];
+        this.recordPidChange('initial');
+
+        // Gain scheduling: separate gains and learning state per active mode (heat/cool) and
+        // optionally per outdoor temperature band; the set in use lives in Kp/Ki/Kd, learningPhase, ...
+        this.initialGains = { Kp: this.Kp, Ki: this.Ki, Kd: this.Kd };
+        this.gainBands = Array.isArray(config.gainBands)
+            ? config.gainBands.filter(t => typeof t === 'number' && !isNaN(t)).sort((a, b) => a - b)
+            : []; // °C limits between outdoor bands, empty = no bands
+        this.gainMode = this.mode === 'cool' ? 'cool' : 'heat';
+        this.gainBand = this.gainBands.length > 0 ? this.gainBands.length : null; // warmest band until an outdoor reading
+        this.gainSets = {}; // sets not in use, by key ("heat", "cool/<0", ...)
+
+        // Outdoor temperature feedforward (weather compensation)
+        // F = Kf * (indoor target - outdoor) for heating, Kf * (outdoor - target) for cooling
+        this.weatherCompensation = config.weatherCompensation === true;
+        this.initialKf = config.weatherGain !== undefined ? config.weatherGain : 0.05;
+        this.Kf = this.initialKf;
+        this.outdoorTemp = null;
+        this.outdoorTempTime = null;
+        this.outdoorTempMaxAge = 3 * 3600000; // ignore outdoor readings older than 3 hours
+        this.weatherHistory = []; // steady-state samples { dT, offset } for learning Kf
+        this.weatherSamplesSinceLearn = 0;
+
+        // TRV internal sensor offset (valve sensor reads warmer/colder than the room)
+        // Setpoints are sent in the valve's frame: room setpoint + learned offset
+        this.valveOffsetLearning = config.valveOffsetLearning === true;
+        this.initialValveOffset = config.valveOffset || 0;
+        this.valveOffset = this.initialValveOffset; // °C, valve minus room
+        this.valveTemp = null;
+        this.valveTempTime = null;
+        this.valveTempMaxAge = 1800000; // ignore valve readings older than 30 minutes
+        this.valveOffsetSamples = 0;
+
         // State
         this.integral = 0;
         this.lastError = 0;
@@ -70,10 +209,44 @@ class AdaptiveController {
         this.performanceHistory = [];
         this.adaptationInterval = 100; // adapt every N samples
 
+        // Relay-feedback autotune (started with msg.autotune)
+        this.autotuneAmplitude = config.autotuneAmplitude || 2.0; // °C setpoint offset while relay is on/off
+        this.autotuneSafetyBand = config.autotuneSafetyBand || 2.0; // °C, abort if temperature leaves the band
+        this.autotuneTimeout = config.autotuneTimeout || 28800000; // ms
+        this.autotuneCycles = config.autotuneCycles || 3;
+        this.autotune = null; // running RelayAutotune experiment
+        this.autotuneResult = null; // outcome of the last experiment
+
         // Trend detection
         this.trendWindow = [];
         this.trendWindowSize = 5;
 
+        // Sensor health (staleness / frozen value detection)
+        // Timeouts in ms, 0 disables the check
+        this.sensorTimeout = config.sensorTimeout !== undefined ? config.sensorTimeout : 3600000;
+        this.sensorFrozenTimeout = config.sensorFrozenTimeout || 0;
+        this.failsafeTemp = config.failsafeTemp !== undefined ? config.failsafeTemp : this.minTemp;
+        this.sensorWatchStart = this.now();
+        this.lastReadingTime = null;
+        this.lastReadingValue = null;
+        this.lastValueChangeTime = null;
+        this.sensorFault = null; // null, 'stale' or 'frozen'
+
+        // Open window detection (sudden temperature drop pauses heating)
+        this.windowDetection = config.windowDetection === true;
+        this.windowDropThreshold = config.windowDropThreshold || 1.0; // °C
+        this.windowDetectionTime = config.windowDetectionTime || 300000; // ms
+        this.windowPauseDuration = config.windowPauseDuration || 1800000; // ms
+        this.windowContact = null; // explicit contact sensor: true/false, null = use heuristic
+        this.windowPauseEndTime = null; // end of pause started by heuristic
+        this.windowOpen = false;
+
+        // Frost protection (heats below frostTemp in any mode, including off and away)
+        this.frostProtection = config.frostProtection === true;
+        this.frostTemp = config.frostTemp !== undefined ? config.frostTemp : 5; // °C
+        this.frostHysteresis = config.frostHysteresis || 1.0; // °C above frostTemp to release
+        this.frostProtectionActive = false;
+
         // Flag to indicate PID parameters changed (for persistence)
         this.parametersChanged = false;
     }
@@ -84,64 +257,283 @@ class AdaptiveController {
      * @returns {object} - { output, debug }
      */
     update(currentTemp) {
-        const now = Date.now();
+        const now = this.now();
         const dt = this.lastUpdateTime ? (now - this.lastUpdateTime) / 1000 : this.sampleInterval / 1000;
         this.lastUpdateTime = now;
+        // No demand unless PID runs (off, idle, open window, sensor fault)
+        this.demand = 0;
+
+        // Track reading for stale/frozen sensor detection
+        const wasFaulted = this.sensorFault !== null;
+        this.recordSensorReading(currentTemp, now);
+        if (wasFaulted && !this.sensorFault) {
+            // Sensor recovered - don't rate-limit away from the failsafe setpoint
+            this.lastOutput = null;
+        }
 
-        // Check boost expiry
-        this.checkBoostExpiry();
+        // Frost protection latch - needs a valid reading
+        const frost = this.updateFrostProtection(currentTemp);
+
+        // Check boost expiry (or target reached) and away return
+        this.checkBoostExpiry(this.sensorFault ? null : currentTemp);
+        this.checkAwayExpiry();
 
         // Calculate effective target temperature based on mode priorities
         this.calculateEffectiveTarget();
 
-        // Handle OFF mode
-        if (this.operatingMode === 'off') {
-            const offOutput = this.roundToPrecision(this.minTemp);
-            return this.createOutput(offOutput, currentTemp, 0, 'off', null, this.mode);
+        // Autotune needs regulation and a trustworthy reading
+        if (this.autotune && (this.operatingMode === 'off' || this.sensorFault)) {
+            this.stopAutotune('aborted', this.operatingMode === 'off' ? 'off' : 'sensor_fault');
+        }
+
+        // Handle OFF mode (frost protection still heats)
+        if (this.operatingMode === 'off' && !frost) {
+            return this.createOutput(this.getOffOutput(), currentTemp, 0, 'off', null, this.mode);
+        }
+
+        // Sensor reports a frozen value - don't regulate on it
+        if (this.sensorFault) {
+            return this.createFailsafeOutput(currentTemp);
         }
 
         // Record temperature for learning and trend detection
         this.recordTemperature(currentTemp, now);
 
+        // Open window - pause heating, integral stays frozen (frost protection still heats)
+        const wasWindowOpen = this.windowOpen;
+        if (this.updateWindowState(currentTemp, now) && !frost) {
+            if (this.autotune) {
+                this.stopAutotune('aborted', 'window');
+            }
+            return this.createWindowOutput(currentTemp);
+        }
+        if (wasWindowOpen) {
+            // Window closed - resume without rate-limiting from the paused output
+            this.lastOutput = null;
+        }
+
+        // Relay-feedback autotune replaces regulation while the experiment runs
+        if (this.autotune) {
+            const autotuneOutput = this.updateAutotune(currentTemp, now);
+            if (autotuneOutput) {
+                return autotuneOutput;
+            }
+        }
+
+        // Dual setpoint: regulate towards the bound that was crossed
+        const dualSetpoint = !frost && this.isDualSetpointActive();
+        if (dualSetpoint) {
+            this.targetTemp = this.selectDeadbandTarget(currentTemp);
+        }
+
         // Calculate error (positive = need heating, negative = need cooling)
         const error = this.targetTemp - currentTemp;
 
+        // Control quality: inside the deadband the room is on target; steps follow the deadband centre
+        const inDeadband = dualSetpoint && currentTemp >= this.targetTempLow && currentTemp <= this.targetTempHigh;
+        this.quality.record({
+            target: dualSetpoint ? (this.targetTempLow + this.targetTempHigh) / 2 : this.targetTemp,
+            error: inDeadband ? 0 : error,
+            pid: {
+                Kp: this.roundGain(this.Kp),
+                Ki: this.roundGain(this.Ki),
+                Kd: this.roundGain(this.Kd)
+            }
+        }, now);
+
         // Determine active mode for heat_cool (auto)
         let activeMode = this.mode;
-        if (this.mode === 'heat_cool') {
+        if (dualSetpoint) {
+            activeMode = this.deadbandMode;
+        } else if (frost) {
+            activeMode = 'heat';
+        } else if (this.mode === 'heat_cool') {
             activeMode = error > 0 ? 'heat' : 'cool';
         }
 
+        // Within deadband (or during frost protection) the regulation behaves like plain heat or cool mode
+        const regulationMode = dualSetpoint || frost ? activeMode : this.mode;
+
+        // Gains and learning state for the active context. With a single heat_cool target the
+        // room crosses the target all the time - only switch once it is past the hysteresis.
+        const crossing = this.mode === 'heat_cool' && !dualSetpoint && !frost && Math.abs(error) < this.hysteresis;
+        this.selectGainSet(crossing ? this.gainMode : activeMode);
+
+        // Measure heat-up rate after target increases (for optimal start)
+        this.trackHeatUp(currentTemp, now, activeMode);
+
         // Check if within hysteresis zone - mark as stable but CONTINUE with PID
         // This allows the integral term to accumulate and maintain steady-state offset
         const inHysteresis = Math.abs(error) < this.hysteresis;
 
+        // Learn TRV sensor offset from steady-state behaviour
+        if (this.valveOffsetLearning && inHysteresis) {
+            this.learnValveOffset(currentTemp, now);
+        }
+
         // Check if action is needed based on mode
-        if (this.mode === 'heat' && error < 0) {
+        if (regulationMode === 'heat' && error < 0) {
             // In heat mode, room is too warm - set to target and let it cool naturally
-            const output = this.roundToPrecision(this.targetTemp);
+            const output = this.getIdleOutput();
             this.lastOutput = output;
             // Reset integral to prevent windup when overshooting
             this.integral = Math.max(0, this.integral - Math.abs(error));
-            return this.createOutput(output, currentTemp, error, 'idle', null, activeMode);
+            return this.createOutput(this.toValveFrame(output), currentTemp, error, 'idle', null, activeMode);
         }
-        if (this.mode === 'cool' && error > 0) {
+        if (regulationMode === 'cool' && error > 0) {
             // In cool mode, room is too cold - set to target and let it warm naturally
-            const output = this.roundToPrecision(this.targetTemp);
+            const output = this.getIdleOutput();
             this.lastOutput = output;
             // Reset integral to prevent windup when undershooting
             this.integral = Math.max(0, this.integral - Math.abs(error));
-            return this.createOutput(output, currentTemp, error, 'idle', null, activeMode);
+            return this.createOutput(this.toValveFrame(output), currentTemp, error, 'idle', null, activeMode);
         }
 
         // Learning phase logic
-        if (this.learningPhase && !this.learningComplete) {
+        if (this.learningPhase && !this.learningComplete && !this.pidFrozen) {
             this.learn(currentTemp, error, dt);
         }
 
         // Calculate PID terms
         const pidResult = this.calculatePID(error, dt, activeMode);
+        this.demand = this.calculateDemand(pidResult.adjustment);
+
+        // Valve mode: opening follows the demand, setpoint mode: target ± adjustment
+        const output = this.outputMode === 'valve'
+            ? this.calculateValvePosition(this.demand)
+            : this.calculateSetpoint(pidResult, activeMode, inHysteresis);
+
+        // Store for next iteration
+        this.lastError = error;
+        this.lastTemp = currentTemp;
+        this.lastOutput = output;
+
+        // Track performance for continuous adaptation
+        if (!this.learningPhase || this.pidFrozen) {
+            this.trackPerformance(error);
+        }
+
+        // Learn feedforward gain from steady-state behaviour
+        // (valve mode: output is an opening in %, the PID adjustment is the offset in °C)
+        if (this.weatherCompensation && this.learningEnabled) {
+            const offset = this.outputMode === 'valve' ? pidResult.adjustment : output - this.targetTemp;
+            this.learnWeatherGain(error, offset, activeMode);
+        }
+
+        // Determine trend - use "stable" when in hysteresis zone
+        const trend = inHysteresis ? 'stable' : this.detectTrend();
+
+        return this.createOutput(this.toValveFrame(output), currentTemp, error, trend, pidResult, activeMode);
+    }
+
+    /**
+     * Record a sensor reading for health monitoring
+     */
+    recordSensorReading(temp, timestamp) {
+        if (temp !== this.lastReadingValue || this.lastValueChangeTime === null) {
+            this.lastValueChangeTime = timestamp;
+        }
+        this.lastReadingValue = temp;
+        this.lastReadingTime = timestamp;
+        this.checkSensorHealth(timestamp);
+    }
+
+    /**
+     * Check for missing (stale) or frozen (identical for too long) sensor readings.
+     * Called on every reading and periodically by the node watchdog.
+     * @returns {string|null} Fault reason: 'stale', 'frozen' or null when healthy
+     */
+    checkSensorHealth(now = this.now()) {
+        const lastSeen = this.lastReadingTime !== null ? this.lastReadingTime : this.sensorWatchStart;
+
+        if (this.sensorTimeout > 0 && now - lastSeen > this.sensorTimeout) {
+            this.sensorFault = 'stale';
+        } else if (this.sensorFrozenTimeout > 0 && this.lastValueChangeTime !== null &&
+                   now - this.lastValueChangeTime > this.sensorFrozenTimeout) {
+            this.sensorFault = 'frozen';
+        } else {
+            this.sensorFault = null;
+        }
+
+        return this.sensorFault;
+    }
+
+    /**
+     * Calculate output while no valid reading is available (sensor watchdog).
+     * Drives the failsafe setpoint when the sensor is faulted.
+     * @returns {object} - { output, debug }
+     */
+    updateWithoutReading() {
+        this.demand = 0;
+        this.frostProtectionActive = false;
+        if (this.autotune) {
+            this.stopAutotune('aborted', 'sensor_fault');
+        }
+        this.checkBoostExpiry();
+        this.checkAwayExpiry();
+        this.calculateEffectiveTarget();
+
+        if (this.operatingMode === 'off') {
+            return this.createOutput(this.getOffOutput(), this.lastReadingValue, 0, 'off', null, this.mode);
+        }
+
+        return this.createFailsafeOutput(this.lastReadingValue);
+    }
+
+    /**
+     * Create failsafe output (used when sensor is faulted)
+     */
+    createFailsafeOutput(currentTemp) {
+        const output = this.outputMode === 'valve'
+            ? this.failsafeValvePosition
+            : this.roundToPrecision(this.clamp(this.failsafeTemp, this.minTemp, this.maxTemp));
+        this.lastOutput = output;
+        // Integral is left untouched (frozen) - the reading can't be trusted
+        const error = currentTemp !== null ? this.targetTemp - currentTemp : 0;
+        return this.createOutput(output, currentTemp, error, 'fault', null, this.mode);
+    }
+
+    /**
+     * Check if dual setpoint (low/high deadband) regulation applies
+     */
+    isDualSetpointActive() {
+        return this.mode === 'heat_cool' &&
+            this.targetTempLow !== null && this.targetTempHigh !== null &&
+            !(this.boostActive && this.boostTemp !== null);
+    }
+
+    /**
+     * Select heat/cool within deadband and return the setpoint to regulate towards.
+     * Below low setpoint: heat to low. Above high setpoint: cool to high.
+     * Between them: keep the previous mode (idle at its bound).
+     */
+    selectDeadbandTarget(currentTemp) {
+        let mode = this.deadbandMode;
+
+        if (currentTemp < this.targetTempLow) {
+            mode = 'heat';
+        } else if (currentTemp > this.targetTempHigh) {
+            mode = 'cool';
+        } else if (mode === null) {
+            // First reading within deadband - pick the nearer bound
+            mode = currentTemp - this.targetTempLow <= this.targetTempHigh - currentTemp ? 'heat' : 'cool';
+        }
+
+        if (mode !== this.deadbandMode) {
+            // Switching between heating and cooling: reset integral and
+            // don't rate-limit from the other bound's setpoint
+            this.integral = 0;
+            this.lastOutput = null;
+            this.deadbandMode = mode;
+        }
 
+        return mode === 'cool' ? this.targetTempHigh : this.targetTempLow;
+    }
+
+    /**
+     * Calculate setpoint output (°C) from PID adjustment
+     */
+    calculateSetpoint(pidResult, activeMode, inHysteresis) {
         // Calculate raw output based on mode
         // PID adjustment determines how much above/below target the setpoint should be
         let rawOutput;
@@ -178,22 +570,38 @@ class AdaptiveController {
         }
 
         // Clamp to min/max and round to precision
-        const output = this.roundToPrecision(this.clamp(rawOutput, this.minTemp, this.maxTemp));
+        return this.roundToPrecision(this.clamp(rawOutput, this.minTemp, this.maxTemp));
+    }
 
-        // Store for next iteration
-        this.lastError = error;
-        this.lastTemp = currentTemp;
-        this.lastOutput = output;
+    /**
+     * Calculate valve position output (0-100%) from demand,
+     * rate limited and clamped to min/max opening
+     */
+    calculateValvePosition(demand) {
+        let position = demand;
 
-        // Track performance for continuous adaptation
-        if (!this.learningPhase) {
-            this.trackPerformance(error);
+        if (this.lastOutput !== null) {
+            const change = position - this.lastOutput;
+            if (Math.abs(change) > this.valveRateLimit) {
+                position = this.lastOutput + Math.sign(change) * this.valveRateLimit;
+            }
         }
 
-        // Determine trend - use "stable" when in hysteresis zone
-        const trend = inHysteresis ? 'stable' : this.detectTrend();
+        return Math.round(this.clamp(position, this.valveMinOpening, this.valveMaxOpening));
+    }
+
+    /**
+     * Output in OFF mode: minimum setpoint or closed valve
+     */
+    getOffOutput() {
+        return this.outputMode === 'valve' ? 0 : this.roundToPrecision(this.minTemp);
+    }
 
-        return this.createOutput(output, currentTemp, error, trend, pidResult, activeMode);
+    /**
+     * Output when no action is needed: setpoint at target or minimum valve opening
+     */
+    getIdleOutput() {
+        return this.outputMode === 'valve' ? this.valveMinOpening : this.roundToPrecision(this.targetTemp);
     }
 
     /**
@@ -226,10 +634,114 @@ class AdaptiveController {
         const derivative = dt > 0 ? errorChange / dt : 0;
         const D = this.Kd * derivative;
 
+        // Feedforward term (outdoor temperature compensation)
+        const F = this.Kf * this.getWeatherDelta(activeMode);
+
         // Total adjustment
-        const adjustment = P + I + D;
+        const adjustment = P + I + D + F;
+
+        return { P, I, D, F, adjustment };
+    }
+
+    /**
+     * Get indoor/outdoor temperature difference driving heat loss (or gain).
+     * Heating: target - outdoor, cooling: outdoor - target. 0 if unavailable or disabled.
+     */
+    getWeatherDelta(activeMode) {
+        const outdoorTemp = this.getValidOutdoorTemp();
+        if (!this.weatherCompensation || outdoorTemp === null) {
+            return 0;
+        }
+
+        const delta = activeMode === 'cool'
+            ? outdoorTemp - this.targetTemp
+            : this.targetTemp - outdoorTemp;
 
-        return { P, I, D, adjustment };
+        return Math.max(0, delta);
+    }
+
+    /**
+     * Get outdoor temperature, or null if not available or too old
+     */
+    getValidOutdoorTemp() {
+        if (this.outdoorTemp === null || this.now() - this.outdoorTempTime > this.outdoorTempMaxAge) {
+            return null;
+        }
+        return this.outdoorTemp;
+    }
+
+    /**
+     * Record steady-state sample and periodically learn feedforward gain.
+     * In steady state (room at target) the setpoint offset is exactly what is
+     * needed to compensate heat loss, so Kf is fitted as offset / dT (least squares).
+     */
+    learnWeatherGain(error, offset, activeMode) {
+        const dT = this.getWeatherDelta(activeMode);
+        if (dT < 1 || Math.abs(error) >= this.hysteresis) {
+            return;
+        }
+
+        this.weatherHistory.push({ dT, offset: Math.abs(offset) });
+        if (this.weatherHistory.length > 500) {
+            this.weatherHistory.shift();
+        }
+
+        this.weatherSamplesSinceLearn++;
+        if (this.weatherHistory.length < this.samplesNeeded || this.weatherSamplesSinceLearn < this.samplesNeeded) {
+            return;
+        }
+        this.weatherSamplesSinceLearn = 0;
+
+        const sumXY = this.weatherHistory.reduce((sum, s) => sum + s.dT * s.offset, 0);
+        const sumXX = this.weatherHistory.reduce((sum, s) => sum + s.dT * s.dT, 0);
+        const estimate = sumXY / sumXX;
+
+        // Move slowly towards estimate
+        const oldKf = this.Kf;
+        this.Kf = this.clamp(this.Kf + 0.2 * (estimate - this.Kf), 0, 0.3);
+
+        if (this.Kf !== oldKf) {
+            this.parametersChanged = true;
+        }
+    }
+
+    /**
+     * Learn offset between the TRV's internal sensor and the room sensor.
+     * Only sampled in steady state (room within hysteresis of target), where the
+     * difference is caused by sensor placement rather than heat-up dynamics.
+     */
+    learnValveOffset(currentTemp, now) {
+        if (this.valveTemp === null || now - this.valveTempTime > this.valveTempMaxAge) {
+            return;
+        }
+
+        // Exponential moving average - sensor offsets change slowly
+        const sample = this.valveTemp - currentTemp;
+        this.valveOffset = this.clamp(this.valveOffset + 0.05 * (sample - this.valveOffset), -10, 10);
+
+        // Persist periodically instead of on every sample
+        this.valveOffsetSamples++;
+        if (this.valveOffsetSamples >= this.samplesNeeded) {
+            this.valveOffsetSamples = 0;
+            this.parametersChanged = true;
+        }
+    }
+
+    /**
+     * Convert a room-frame setpoint to the TRV's frame (setpoint mode only)
+     */
+    toValveFrame(output) {
+        if (!this.valveOffsetLearning || this.outputMode === 'valve') {
+            return output;
+        }
+        return this.roundToPrecision(this.clamp(output + this.valveOffset, this.minTemp, this.maxTemp));
+    }
+
+    /**
+     * Convert PID adjustment (°C offset) to demand 0-100%
+     */
+    calculateDemand(adjustment) {
+        return this.clamp(adjustment / this.demandBand * 100, 0, 100);
     }
 
     /**
@@ -250,100 +762,538 @@ class AdaptiveController {
     }
 
     /**
-     * Learning phase: estimate system characteristics
+     * Update frost protection latch: on below frostTemp, off at frostTemp + frostHysteresis
+     * @returns {boolean} true if frost protection is heating
      */
-    learn(currentTemp, error, dt) {
-        if (!this.learningStartTime) {
-            this.learningStartTime = Date.now();
+    updateFrostProtection(currentTemp) {
+        if (!this.frostProtection || this.sensorFault) {
+            this.frostProtectionActive = false;
+            return false;
         }
 
-        // Need enough samples
-        if (this.temperatureHistory.length < this.samplesNeeded) {
-            return;
+        if (!this.frostProtectionActive && currentTemp < this.frostTemp) {
+            this.frostProtectionActive = true;
+            // Heat right away instead of rate-limiting from the off/idle output
+            this.lastOutput = null;
+        } else if (this.frostProtectionActive && currentTemp >= this.frostTemp + this.frostHysteresis) {
+            this.frostProtectionActive = false;
         }
 
-        // Calculate thermal characteristics
-        const characteristics = this.estimateThermalCharacteristics();
+        return this.frostProtectionActive;
+    }
 
-        if (characteristics.timeConstant > 0 && characteristics.deadTime > 0) {
-            // Ziegler-Nichols tuning based on estimated characteristics
-            this.adaptPIDParameters(characteristics);
-            this.learningComplete = true;
-            this.learningPhase = false;
+    /**
+     * Update open window state from contact sensor or drop heuristic
+     * @returns {boolean} true if window is considered open
+     */
+    updateWindowState(currentTemp, now) {
+        // Explicit contact sensor overrides the heuristic
+        if (this.windowContact !== null) {
+            this.windowOpen = this.windowContact;
+            return this.windowOpen;
         }
 
-        // Timeout: use conservative defaults after 1 hour
-        const learningDuration = Date.now() - this.learningStartTime;
-        if (learningDuration > 3600000) {
-            this.learningComplete = true;
-            this.learningPhase = false;
+        if (this.windowPauseEndTime !== null && now >= this.windowPauseEndTime) {
+            this.windowPauseEndTime = null;
+        }
+
+        if (this.windowPauseEndTime === null && this.windowDetection && this.mode !== 'cool' &&
+            this.detectOpenWindow(currentTemp, now)) {
+            this.windowPauseEndTime = now + this.windowPauseDuration;
         }
+
+        this.windowOpen = this.windowPauseEndTime !== null;
+        return this.windowOpen;
     }
 
     /**
-     * Estimate thermal time constant and dead time from collected data
+     * Detect sudden temperature drop within the detection time window
      */
-    estimateThermalCharacteristics() {
-        if (this.temperatureHistory.length < 10) {
-            return { timeConstant: 0, deadTime: 0 };
+    detectOpenWindow(currentTemp, now) {
+        const windowStart = now - this.windowDetectionTime;
+        const recent = this.temperatureHistory.filter(t => t.timestamp >= windowStart);
+
+        if (recent.length < 2) {
+            return false;
         }
 
-        const temps = this.temperatureHistory.map(t => t.temp);
-        const times = this.temperatureHistory.map(t => t.timestamp);
+        const peak = Math.max(...recent.map(t => t.temp));
+        return peak - currentTemp >= this.windowDropThreshold;
+    }
 
-        // Find temperature change events
-        let maxChange = 0;
-        let changeStartIdx = 0;
-        let changeEndIdx = 0;
+    /**
+     * Track heat-up transitions (target raised by at least 1°C) and learn
+     * the heat-up rate when the room reaches the new target. A ramped target
+     * counts as raised to the end of the ramp at once.
+     */
+    trackHeatUp(currentTemp, now, activeMode) {
+        const goal = this.getHeatUpGoal(now);
+        const targetRaised = this.lastTargetTemp !== null && goal - this.lastTargetTemp >= 1;
+        this.lastTargetTemp = goal;
 
-        for (let i = 1; i < temps.length; i++) {
-            const change = Math.abs(temps[i] - temps[0]);
-            if (change > maxChange) {
-                maxChange = change;
-                changeEndIdx = i;
-            }
+        if (targetRaised && activeMode === 'heat' && goal - currentTemp >= 1) {
+            this.heatUpTracking = { startTime: now, startTemp: currentTemp, targetTemp: goal };
+            return;
         }
 
-        if (maxChange < 0.5) {
-            // Not enough temperature variation for estimation
-            return { timeConstant: 0, deadTime: 0 };
-        }
+        const tracking = this.heatUpTracking;
+        if (!tracking) return;
 
-        // Find 63% point for time constant (first-order system approximation)
-        const target63 = temps[0] + 0.632 * (temps[changeEndIdx] - temps[0]);
-        let timeConstantIdx = changeEndIdx;
+        // Abort on target or mode change, or if target isn't reached within 12 hours
+        if (Math.abs(goal - tracking.targetTemp) > 0.1 || activeMode !== 'heat' ||
+            now - tracking.startTime > 12 * 3600000) {
+            this.heatUpTracking = null;
+            return;
+        }
 
-        for (let i = 0; i < changeEndIdx; i++) {
-            if ((temps[0] < temps[changeEndIdx] && temps[i] >= target63) ||
-                (temps[0] > temps[changeEndIdx] && temps[i] <= target63)) {
-                timeConstantIdx = i;
-                break;
+        if (currentTemp >= tracking.targetTemp) {
+            const hours = (now - tracking.startTime) / 3600000;
+            // Ignore very short transitions (measurement noise)
+            if (hours >= 0.25) {
+                this.recordHeatUpRate((currentTemp - tracking.startTemp) / hours);
             }
+            this.heatUpTracking = null;
         }
+    }
 
-        // Calculate time constant in seconds
-        const timeConstant = (times[timeConstantIdx] - times[0]) / 1000;
+    /**
+     * Target a heat-up is heading for: the current target, or with a running ramp
+     * the target at its end (setbacks such as eco included)
+     */
+    getHeatUpGoal(now) {
+        if (!this.ramp || this.isDualSetpointActive()) {
+            return this.targetTemp;
+        }
+        return this.targetTemp + this.ramp.to - this.getRampValue(now);
+    }
 
-        // Estimate dead time as time before 10% change
-        const target10 = temps[0] + 0.1 * (temps[changeEndIdx] - temps[0]);
-        let deadTimeIdx = 0;
+    /**
+     * Store learned heat-up rate sample (°C/hour) with current outdoor temperature
+     */
+    recordHeatUpRate(rate) {
+        this.heatUpSamples.push({ rate, outdoorTemp: this.getValidOutdoorTemp() });
+        if (this.heatUpSamples.length > 20) {
+            this.heatUpSamples.shift();
+        }
+        this.parametersChanged = true;
+    }
 
-        for (let i = 0; i < changeEndIdx; i++) {
-            if ((temps[0] < temps[changeEndIdx] && temps[i] >= target10) ||
-                (temps[0] > temps[changeEndIdx] && temps[i] <= target10)) {
-                deadTimeIdx = i;
-                break;
-            }
+    /**
+     * Predict heat-up rate (°C/hour) from learned samples.
+     * With enough samples at different outdoor temperatures, uses a linear
+     * fit of rate vs. outdoor temperature; otherwise the average rate.
+     */
+    getPredictedHeatUpRate() {
+        const samples = this.heatUpSamples;
+        if (samples.length === 0) {
+            return this.heatUpRate;
         }
 
-        const deadTime = (times[deadTimeIdx] - times[0]) / 1000;
+        const mean = arr => arr.reduce((a, b) => a + b, 0) / arr.length;
+        let rate = mean(samples.map(s => s.rate));
+
+        const outdoorTemp = this.getValidOutdoorTemp();
+        const withOutdoor = samples.filter(s => s.outdoorTemp !== null);
+        if (outdoorTemp !== null && withOutdoor.length >= 3) {
+            const meanX = mean(withOutdoor.map(s => s.outdoorTemp));
+            const meanY = mean(withOutdoor.map(s => s.rate));
+            const varX = mean(withOutdoor.map(s => Math.pow(s.outdoorTemp - meanX, 2)));
+            // Need some spread of outdoor temperatures for a meaningful fit
+            if (varX >= 4) {
+                const covXY = mean(withOutdoor.map(s => (s.outdoorTemp - meanX) * (s.rate - meanY)));
+                rate = meanY + (covXY / varX) * (outdoorTemp - meanX);
+            }
+        }
 
-        return { timeConstant, deadTime };
+        return this.clamp(rate, 0.1, 10);
     }
 
     /**
-     * Adapt PID parameters based on estimated thermal characteristics
-     * Using modified Ziegler-Nichols tuning for thermal systems
+     * Optimal start: bring the next higher schedule slot forward so its
+     * temperature is reached at slot time. Once started, preheat stays
+     * latched until the slot begins.
+     * @param {number} scheduledTemp - Temperature of the current slot
+     * @returns {number} Temperature to use (next slot temp while preheating)
+     */
+    applyPreheat(scheduledTemp) {
+        this.preheatStartTime = null;
+
+        const next = this.optimalStart && this.mode !== 'cool' ? this.findNextSlot() : null;
+        if (!next || next.slot.temp === undefined || next.slot.temp <= scheduledTemp) {
+            this.preheat = null;
+            return scheduledTemp;
+        }
+
+        const slotKey = `${next.day}:${next.slot.time}`;
+        if (this.preheat && this.preheat.slotKey === slotKey) {
+            this.preheatStartTime = this.preheat.startTime;
+            return next.slot.temp;
+        }
+        this.preheat = null;
+
+        const roomTemp = this.lastReadingValue;
+        if (roomTemp === null || roomTemp >= next.slot.temp) {
+            return scheduledTemp;
+        }
+
+        const now = this.now();
+        const leadTime = Math.min(
+            this.maxPreheatTime,
+            (next.slot.temp - roomTemp) / this.getPredictedHeatUpRate() * 3600000
+        );
+        this.preheatStartTime = Math.round(now + next.minutesUntil * 60000 - leadTime);
+
+        if (now >= this.preheatStartTime) {
+            this.preheat = { slotKey, startTime: this.preheatStartTime };
+            return next.slot.temp;
+        }
+
+        return scheduledTemp;
+    }
+
+    /**
+     * Ramp the schedule target: when the followed temperature changes, move
+     * linearly from the target in effect to the new one.
+     * @param {number} finalTemp - Temperature of the slot (or preheat target)
+     * @param {object|null} slot - Slot supplying the temperature (ramp settings)
+     * @returns {number} Ramped temperature
+     */
+    applyRamp(finalTemp, slot) {
+        const now = this.now();
+        const previous = this.scheduleTarget;
+        this.scheduleTarget = finalTemp;
+
+        if (previous !== null && finalTemp !== previous) {
+            // Start from where the target is now - also in the middle of a ramp
+            const from = this.ramp ? this.getRampValue(now) : previous;
+            const duration = this.getRampDuration(slot, Math.abs(finalTemp - from));
+            this.ramp = duration > 0 ? { from, to: finalTemp, startTime: now, duration } : null;
+        }
+
+        if (this.ramp && now >= this.ramp.startTime + this.ramp.duration) {
+            this.ramp = null;
+        }
+
+        return this.ramp ? Math.round(this.getRampValue(now) * 100) / 100 : finalTemp;
+    }
+
+    /**
+     * Target of the running ramp at a time
+     */
+    getRampValue(now) {
+        const progress = Math.min(Math.max((now - this.ramp.startTime) / this.ramp.duration, 0), 1);
+        return this.ramp.from + (this.ramp.to - this.ramp.from) * progress;
+    }
+
+    /**
+     * Ramp duration (ms) for a temperature change, from the slot's rampTime/rampRate or the default rate
+     */
+    getRampDuration(slot, delta) {
+        if (slot && slot.rampTime !== undefined) {
+            return Math.max(0, parseFloat(slot.rampTime) || 0) * 60000;
+        }
+
+        const rate = slot && slot.rampRate !== undefined ? parseFloat(slot.rampRate) : this.rampRate;
+        return rate > 0 ? delta / rate * 3600000 : 0;
+    }
+
+    /**
+     * Create output while window is open (heating paused)
+     */
+    createWindowOutput(currentTemp) {
+        const output = this.outputMode === 'valve'
+            ? 0
+            : this.roundToPrecision(this.mode === 'cool' ? this.maxTemp : this.minTemp);
+        this.lastOutput = output;
+        // Heat-up measured with an open window would be meaningless
+        this.heatUpTracking = null;
+        return this.createOutput(output, currentTemp, this.targetTemp - currentTemp, 'window', null, this.mode);
+    }
+
+    /**
+     * Apply compressor short-cycle protection to a result.
+     * While a constraint holds the compressor on, the last running output is kept;
+     * while it holds the compressor off, an output that doesn't call for heating/cooling is sent.
+     * OFF mode, sensor failsafe and open window stop the compressor without minimum run time
+     * (unless frost protection is heating).
+     * @param {Object} result - Result of update()
+     * @param {boolean} wantActive - Requested active state (output 3)
+     * @returns {{active: boolean, changed: boolean}} allowed active state, true if it changed
+     */
+    applyCompressorProtection(result, wantActive, now = this.now()) {
+        const guard = this.compressor;
+        const debug = result.debug;
+        this.compressorForceStop = !debug.frostProtectionActive &&
+            (debug.operatingMode === 'off' || debug.sensorFault || debug.windowOpen);
+        const changed = this.requestCompressor(wantActive, now);
+
+        const output = result.output;
+        if (guard.hold === 'minRunTime') {
+            if (this.compressorRunOutput !== null) {
+                result.output = this.compressorRunOutput;
+            }
+        } else if (guard.hold) {
+            result.output = this.getCompressorOffOutput(debug.activeMode, debug.currentTemp);
+        } else if (guard.running) {
+            this.compressorRunOutput = result.output;
+        }
+
+        // Rate limiting continues from the output actually sent (room frame)
+        if (result.output !== output) {
+            this.lastOutput = debug.valveFrame ? result.output - debug.valveOffset : result.output;
+        }
+
+        if (this.outputMode === 'valve') {
+            debug.valvePosition = result.output;
+        } else {
+            debug.setpoint = result.output;
+        }
+        debug.compressorRunning = guard.running;
+        debug.compressorHold = guard.hold;
+        debug.compressorHoldRemaining = guard.hold
+            ? Math.ceil((guard.holdUntil - now) / 60000)
+            : 0;
+        debug.compressorStarts = guard.starts.length;
+
+        return { active: guard.running, changed };
+    }
+
+    /**
+     * Request the compressor on/off, e.g. from the TPI timer between two results.
+     * OFF mode, sensor failsafe and open window of the last result stop it without minimum run time.
+     * @param {boolean} wantActive - Requested active state (output 3)
+     * @returns {boolean} true if the running state changed
+     */
+    requestCompressor(wantActive, now = this.now()) {
+        const forceStop = this.compressorForceStop;
+        return this.compressor.request(wantActive && !forceStop, now, forceStop);
+    }
+
+    /**
+     * Output that doesn't call for heating/cooling while the compressor must stay off
+     */
+    getCompressorOffOutput(activeMode, currentTemp) {
+        if (this.outputMode === 'valve') {
+            return this.valveMinOpening;
+        }
+        const output = activeMode === 'cool'
+            ? Math.max(this.targetTemp, currentTemp + this.precision)
+            : Math.min(this.targetTemp, currentTemp - this.precision);
+        return this.toValveFrame(this.roundToPrecision(this.clamp(output, this.minTemp, this.maxTemp)));
+    }
+
+    /**
+     * Learning phase: estimate system characteristics
+     */
+    learn(currentTemp, error, dt) {
+        if (!this.learningStartTime) {
+            this.learningStartTime = this.now();
+        }
+
+        // Need enough samples
+        if (this.temperatureHistory.length < this.samplesNeeded) {
+            return;
+        }
+
+        // Calculate thermal characteristics
+        const characteristics = this.estimateThermalCharacteristics();
+
+        if (characteristics.timeConstant > 0 && characteristics.deadTime > 0) {
+            // Ziegler-Nichols tuning based on estimated characteristics
+            this.adaptPIDParameters(characteristics);
+            this.learningComplete = true;
+            this.learningPhase = false;
+        }
+
+        // Timeout: use conservative defaults after 1 hour
+        const learningDuration = this.now() - this.learningStartTime;
+        if (learningDuration > 3600000) {
+            this.learningComplete = true;
+            this.learningPhase = false;
+        }
+    }
+
+    /**
+     * Start relay-feedback autotune around the current target
+     * @returns {boolean} true if started
+     */
+    startAutotune() {
+        if (this.operatingMode === 'off' || this.sensorFault || this.windowOpen || this.lastReadingValue === null) {
+            return false;
+        }
+
+        const direction = this.mode === 'cool' || (this.mode === 'heat_cool' && this.lastReadingValue > this.targetTemp)
+            ? 'cool'
+            : 'heat';
+
+        // Relay amplitude in PID adjustment units (valve: full opening range mapped through the demand band)
+        const amplitude = this.outputMode === 'valve'
+            ? (this.valveMaxOpening - this.valveMinOpening) / 100 * this.demandBand / 2
+            : this.autotuneAmplitude;
+
+        this.autotune = new RelayAutotune({
+            setpoint: this.targetTemp,
+            direction,
+            amplitude,
+            hysteresis: this.hysteresis,
+            cycles: this.autotuneCycles,
+            timeout: this.autotuneTimeout,
+            safetyBand: this.autotuneSafetyBand
+        });
+        this.autotuneResult = null;
+        return true;
+    }
+
+    /**
+     * Stop a running autotune without applying a result
+     * @param {string} status - 'aborted' or 'failed'
+     * @param {string} reason - e.g. 'user', 'off', 'window', 'timeout', 'safety'
+     */
+    stopAutotune(status, reason) {
+        if (!this.autotune) return;
+
+        this.autotune = null;
+        this.autotuneResult = { status, reason, time: this.now() };
+        // Resume regulation without rate-limiting from the relay output
+        this.lastOutput = null;
+    }
+
+    /**
+     * Advance the autotune experiment
+     * @returns {object|null} relay output, or null when the experiment ended
+     */
+    updateAutotune(currentTemp, now) {
+        const autotune = this.autotune;
+        const relayOn = autotune.update(currentTemp, now);
+
+        if (autotune.state === 'failed') {
+            this.stopAutotune('failed', autotune.reason);
+            return null;
+        }
+        if (autotune.state === 'done') {
+            this.selectGainSet(autotune.direction);
+            this.applyAutotuneResult(autotune.result);
+            return null;
+        }
+
+        let output;
+        if (this.outputMode === 'valve') {
+            output = relayOn ? this.valveMaxOpening : this.valveMinOpening;
+        } else {
+            const offset = relayOn ? this.autotuneAmplitude : -this.autotuneAmplitude;
+            const rawOutput = autotune.direction === 'cool' ? autotune.setpoint - offset : autotune.setpoint + offset;
+            output = this.roundToPrecision(this.clamp(rawOutput, this.minTemp, this.maxTemp));
+        }
+        this.demand = relayOn ? 100 : 0;
+        this.lastOutput = output;
+
+        return this.createOutput(this.toValveFrame(output), currentTemp, autotune.setpoint - currentTemp, 'autotune', null, autotune.direction);
+    }
+
+    /**
+     * Apply PID gains measured by autotune
+     */
+    applyAutotuneResult(result) {
+        const clamped = ['Kp', 'Ki', 'Kd'].filter(key => {
+            const [min, max] = GAIN_LIMITS[key];
+            this[key] = this.clamp(result[key], min, max);
+            return this[key] !== result[key];
+        });
+        this.integral = 0;
+        this.learningComplete = true;
+        this.learningPhase = false;
+        this.parametersChanged = true;
+        this.recordPidChange('autotune');
+
+        this.autotune = null;
+        this.autotuneResult = {
+            status: 'done',
+            reason: null,
+            time: this.now(),
+            Ku: Math.round(result.Ku * 1000) / 1000,
+            Pu: Math.round(result.Pu),
+            Kp: this.roundGain(this.Kp),
+            Ki: this.roundGain(this.Ki),
+            Kd: this.roundGain(this.Kd),
+            clamped // gains limited to GAIN_LIMITS
+        };
+        this.lastOutput = null;
+    }
+
+    /**
+     * Get autotune progress (running) or last result, null if never run
+     */
+    getAutotuneStatus() {
+        if (this.autotune) {
+            return { active: true, ...this.autotune.getProgress(this.now()) };
+        }
+        return this.autotuneResult ? { active: false, ...this.autotuneResult } : null;
+    }
+
+    /**
+     * Estimate thermal time constant and dead time from collected data
+     */
+    estimateThermalCharacteristics() {
+        if (this.temperatureHistory.length < 10) {
+            return { timeConstant: 0, deadTime: 0 };
+        }
+
+        const temps = this.temperatureHistory.map(t => t.temp);
+        const times = this.temperatureHistory.map(t => t.timestamp);
+
+        // Find temperature change events
+        let maxChange = 0;
+        let changeStartIdx = 0;
+        let changeEndIdx = 0;
+
+        for (let i = 1; i < temps.length; i++) {
+            const change = Math.abs(temps[i] - temps[0]);
+            if (change > maxChange) {
+                maxChange = change;
+                changeEndIdx = i;
+            }
+        }
+
+        if (maxChange < 0.5) {
+            // Not enough temperature variation for estimation
+            return { timeConstant: 0, deadTime: 0 };
+        }
+
+        // Find 63% point for time constant (first-order system approximation)
+        const target63 = temps[0] + 0.632 * (temps[changeEndIdx] - temps[0]);
+        let timeConstantIdx = changeEndIdx;
+
+        for (let i = 0; i < changeEndIdx; i++) {
+            if ((temps[0] < temps[changeEndIdx] && temps[i] >= target63) ||
+                (temps[0] > temps[changeEndIdx] && temps[i] <= target63)) {
+                timeConstantIdx = i;
+                break;
+            }
+        }
+
+        // Calculate time constant in seconds
+        const timeConstant = (times[timeConstantIdx] - times[0]) / 1000;
+
+        // Estimate dead time as time before 10% change
+        const target10 = temps[0] + 0.1 * (temps[changeEndIdx] - temps[0]);
+        let deadTimeIdx = 0;
+
+        for (let i = 0; i < changeEndIdx; i++) {
+            if ((temps[0] < temps[changeEndIdx] && temps[i] >= target10) ||
+                (temps[0] > temps[changeEndIdx] && temps[i] <= target10)) {
+                deadTimeIdx = i;
+                break;
+            }
+        }
+
+        const deadTime = (times[deadTimeIdx] - times[0]) / 1000;
+
+        return { timeConstant, deadTime };
+    }
+
+    /**
+     * Adapt PID parameters based on estimated thermal characteristics
+     * Using modified Ziegler-Nichols tuning for thermal systems
      */
     adaptPIDParameters(characteristics) {
         const { timeConstant, deadTime } = characteristics;
@@ -373,12 +1323,13 @@ class AdaptiveController {
         }
 
         // Limit gains to reasonable values
-        this.Kp = this.clamp(this.Kp, 0.1, 5.0);
-        this.Ki = this.clamp(this.Ki, 0.001, 0.5);
-        this.Kd = this.clamp(this.Kd, 0.0, 2.0);
+        this.Kp = this.clamp(this.Kp, ...GAIN_LIMITS.Kp);
+        this.Ki = this.clamp(this.Ki, ...GAIN_LIMITS.Ki);
+        this.Kd = this.clamp(this.Kd, ...GAIN_LIMITS.Kd);
 
         // Mark that parameters changed (for persistence)
         this.parametersChanged = true;
+        this.recordPidChange('learning');
     }
 
     /**
@@ -414,6 +1365,16 @@ class AdaptiveController {
         // Calculate variance (oscillation indicator)
         const variance = recentErrors.reduce((sum, e) => sum + Math.pow(e - avgError, 2), 0) / recentErrors.length;
         const stdDev = Math.sqrt(variance);
+        this.adaptationStats = {
+            meanAbsError: Math.round(avgError * 1000) / 1000,
+            stdDev: Math.round(stdDev * 1000) / 1000,
+            time: this.now()
+        };
+
+        // Frozen gains: KPIs only
+        if (this.pidFrozen) {
+            return;
+        }
 
         // Adapt based on performance
         const oldKp = this.Kp;
@@ -428,208 +1389,987 @@ class AdaptiveController {
             this.Kp *= 1.02;
         }
 
-        // Limit gains
-        this.Kp = this.clamp(this.Kp, 0.1, 5.0);
-        this.Ki = this.clamp(this.Ki, 0.001, 0.5);
-        this.Kd = this.clamp(this.Kd, 0.0, 2.0);
+        // Limit gains (autotuned gains may lie outside the learning limits)
+        this.Kp = this.clamp(this.Kp, ...GAIN_LIMITS.Kp);
+        this.Ki = this.clamp(this.Ki, ...GAIN_LIMITS.Ki);
+        this.Kd = this.clamp(this.Kd, ...GAIN_LIMITS.Kd);
+
+        // Mark if parameters actually changed
+        if (this.Kp !== oldKp || this.Kd !== oldKd) {
+            this.parametersChanged = true;
+            this.recordPidChange('adaptation');
+        }
+    }
+
+    /**
+     * Set PID gains manually
+     * @param {object} gains - { Kp, Ki, Kd }, missing gains stay unchanged
+     * @returns {boolean} true if applied
+     */
+    setPID(gains) {
+        if (!gains || typeof gains !== 'object') {
+            return false;
+        }
+
+        const values = {};
+        for (const key of ['Kp', 'Ki', 'Kd']) {
+            if (gains[key] === undefined) continue;
+            const value = parseFloat(gains[key]);
+            if (isNaN(value) || value < 0) {
+                return false;
+            }
+            values[key] = value;
+        }
+        if (Object.keys(values).length === 0) {
+            return false;
+        }
+
+        this.applyGains(values, 'manual');
+        return true;
+    }
+
+    /**
+     * Return to gains from the tuning history (recorded as a new 'rollback' entry).
+     * Rollback entries are skipped when counting back, and after a rollback counting
+     * starts at the entry it returned to - repeated rollbacks step further back.
+     * @param {boolean|number} back - true = previous gains, n = n entries before the current one
+     * @returns {object|null} history entry applied, null if there is none
+     */
+    rollbackPID(back = true) {
+        const steps = back === true ? 1 : parseInt(back, 10);
+        if (isNaN(steps) || steps < 1) {
+            return null;
+        }
+
+        const history = this.pidHistory;
+        let index = history.length - 1;
+        while (index >= 0 && history[index].reason === 'rollback') {
+            const back = history[index].back;
+            index = typeof back === 'number' ? index - back : -1;
+        }
+        for (let remaining = steps; remaining > 0 && index >= 0;) {
+            index--;
+            if (index >= 0 && history[index].reason !== 'rollback') {
+                remaining--;
+            }
+        }
+        if (index < 0) {
+            return null;
+        }
+
+        const entry = history[index];
+        const distance = history.length - index;
+        this.applyGains(entry, 'rollback');
+        history[history.length - 1].back = distance;
+        return entry;
+    }
+
+    /**
+     * Apply gains from outside learning (manual, rollback); ends the learning phase
+     */
+    applyGains(gains, reason) {
+        if (gains.Kp !== undefined) this.Kp = this.clamp(gains.Kp, ...GAIN_LIMITS.Kp);
+        if (gains.Ki !== undefined) this.Ki = this.clamp(gains.Ki, ...GAIN_LIMITS.Ki);
+        if (gains.Kd !== undefined) this.Kd = this.clamp(gains.Kd, ...GAIN_LIMITS.Kd);
+        this.learningComplete = true;
+        this.learningPhase = false;
+        this.parametersChanged = true;
+        this.recordPidChange(reason);
+    }
+
+    /**
+     * Record the current gains in the tuning history. The entry they replace gets the
+     * KPIs reached with its gains; consecutive continuous adaptations update one entry.
+     * @param {string} reason - 'initial', 'learning', 'adaptation', 'manual', 'autotune', 'rollback' or 'reset'
+     */
+    recordPidChange(reason) {
+        const entry = {
+            time: this.now(),
+            reason,
+            Kp: this.roundGain(this.Kp),
+            Ki: this.roundGain(this.Ki),
+            Kd: this.roundGain(this.Kd),
+            kpi: null
+        };
+
+        const last = this.pidHistory[this.pidHistory.length - 1];
+        if (last && last.reason === 'adaptation' && reason === 'adaptation') {
+            Object.assign(last, entry);
+            return;
+        }
+        if (last) {
+            last.kpi = this.getPidKpis();
+        }
+
+        this.pidHistory.push(entry);
+        if (this.pidHistory.length > this.pidHistorySize) {
+            this.pidHistory.shift();
+        }
+    }
+
+    /**
+     * Control quality KPIs stored with tuning history entries
+     */
+    getPidKpis() {
+        const { step, today } = this.quality.getSummary(this.now());
+        return {
+            meanAbsError: this.adaptationStats ? this.adaptationStats.meanAbsError : null,
+            stdDev: this.adaptationStats ? this.adaptationStats.stdDev : null,
+            overshoot: step ? step.overshoot : null,
+            settlingTime: step ? step.settlingTime : null,
+            iaeToday: today ? today.iae : null,
+            timeInBandToday: today ? today.timeInBand : null,
+            oscillationsToday: today ? today.oscillations : null
+        };
+    }
+
+    /**
+     * Switch to the gain set of a context (gain scheduling). A new set starts from the
+     * nearest outdoor band of the same mode, or from the initial gains with its own learning phase.
+     * The integral is handed over so that the integral term stays the same.
+     * @param {string} activeMode - 'heat' or 'cool'
+     * @returns {boolean} true if the set changed
+     */
+    selectGainSet(activeMode) {
+        const mode = activeMode === 'cool' ? 'cool' : 'heat';
+        const band = this.getOutdoorBand();
+        if (mode === this.gainMode && band === this.gainBand) {
+            return false;
+        }
+
+        this.gainSets[this.getGainSetKey()] = this.getActiveGainSet();
+
+        const key = this.getGainSetKey(mode, band);
+        let set = this.gainSets[key];
+        if (!set) {
+            const nearest = Object.values(this.gainSets)
+                .filter(candidate => candidate.mode === mode)
+                .sort((a, b) => Math.abs(a.band - band) - Math.abs(b.band - band))[0];
+            set = nearest
+                ? { ...nearest, performanceHistory: [], adaptationStats: null, pidHistory: [] }
+                : {
+                    ...this.initialGains,
+                    learningPhase: this.learningEnabled,
+                    learningComplete: false,
+                    learningStartTime: null,
+                    performanceHistory: [],
+                    adaptationStats: null,
+                    pidHistory: []
+                };
+        }
+        delete this.gainSets[key];
+
+        if (set.Ki > 0) {
+            this.integral = this.integral * this.Ki / set.Ki;
+        }
+        this.gainMode = mode;
+        this.gainBand = band;
+        this.loadGainSet(set);
+        if (this.pidHistory.length === 0) {
+            this.recordPidChange('initial');
+        }
+        return true;
+    }
+
+    /**
+     * Outdoor band index for gain scheduling (0 = coldest), null without bands.
+     * Stays in the current band within 0.5°C of its limits and without outdoor reading.
+     */
+    getOutdoorBand() {
+        if (this.gainBands.length === 0) {
+            return null;
+        }
+
+        const outdoorTemp = this.getValidOutdoorTemp();
+        if (outdoorTemp === null) {
+            return this.gainBand;
+        }
+
+        const band = this.gainBands.filter(limit => outdoorTemp >= limit).length;
+        if (this.gainBand !== null && band !== this.gainBand) {
+            const low = this.gainBand > 0 ? this.gainBands[this.gainBand - 1] : -Infinity;
+            const high = this.gainBand < this.gainBands.length ? this.gainBands[this.gainBand] : Infinity;
+            if (outdoorTemp >= low - 0.5 && outdoorTemp < high + 0.5) {
+                return this.gainBand;
+            }
+        }
+        return band;
+    }
+
+    /**
+     * Key of a gain set: "heat", "cool" or with outdoor band "heat/<0", "heat/0..10", "heat/>=10"
+     */
+    getGainSetKey(mode = this.gainMode, band = this.gainBand) {
+        if (band === null || this.gainBands.length === 0) {
+            return mode;
+        }
+
+        const limits = this.gainBands;
+        let label;
+        if (band === 0) {
+            label = `<${limits[0]}`;
+        } else if (band >= limits.length) {
+            label = `>=${limits[limits.length - 1]}`;
+        } else {
+            label = `${limits[band - 1]}..${limits[band]}`;
+        }
+        return `${mode}/${label}`;
+    }
+
+    /**
+     * Gains and learning state of the set in use
+     */
+    getActiveGainSet() {
+        return {
+            mode: this.gainMode,
+            band: this.gainBand,
+            Kp: this.Kp,
+            Ki: this.Ki,
+            Kd: this.Kd,
+            learningPhase: this.learningPhase,
+            learningComplete: this.learningComplete,
+            learningStartTime: this.learningStartTime,
+            performanceHistory: this.performanceHistory,
+            adaptationStats: this.adaptationStats,
+            pidHistory: this.pidHistory
+        };
+    }
+
+    /**
+     * Put a gain set in use
+     */
+    loadGainSet(set) {
+        this.Kp = set.Kp;
+        this.Ki = set.Ki;
+        this.Kd = set.Kd;
+        this.learningPhase = set.learningPhase;
+        this.learningComplete = set.learningComplete;
+        this.learningStartTime = set.learningStartTime;
+        this.performanceHistory = set.performanceHistory;
+        this.adaptationStats = set.adaptationStats;
+        this.pidHistory = set.pidHistory;
+    }
+
+    /**
+     * Detect temperature trend
+     */
+    detectTrend() {
+        if (this.trendWindow.length < 3) {
+            return 'unknown';
+        }
+
+        const first = this.trendWindow[0];
+        const last = this.trendWindow[this.trendWindow.length - 1];
+        const diff = last - first;
+
+        if (diff > 0.1) {
+            return 'heating';
+        } else if (diff < -0.1) {
+            return 'cooling';
+        }
+        return 'stable';
+    }
+
+    /**
+     * Round a PID gain to 4 significant digits (Ki of slow rooms is well below 0.001)
+     */
+    roundGain(value) {
+        return Number(value.toPrecision(4));
+    }
+
+    /**
+     * Round value to thermostat precision
+     */
+    roundToPrecision(value) {
+        return Math.round(value / this.precision) * this.precision;
+    }
+
+    /**
+     * Create output object
+     */
+    createOutput(output, currentTemp, error, trend, pidResult = null, activeMode = null) {
+        // Valve position (%) is not rounded to thermostat precision
+        const value = this.outputMode === 'valve' ? output : this.roundToPrecision(output);
+
+        const debug = {
+            currentTemp,
+            targetTemp: this.targetTemp,
+            baseTargetTemp: this.baseTargetTemp,
+            targetTempLow: this.targetTempLow,
+            targetTempHigh: this.targetTempHigh,
+            dualSetpoint: this.isDualSetpointActive(),
+            outputMode: this.outputMode,
+            setpoint: this.outputMode === 'valve' ? null : value,
+            valvePosition: this.outputMode === 'valve' ? value : null,
+            demand: Math.round(this.demand * 10) / 10,
+            error: Math.round(error * 100) / 100,
+            trend,
+            mode: this.mode,
+            activeMode: activeMode || this.mode,
+            precision: this.precision,
+            state: this.learningPhase ? 'learning' : 'running',
+            learningComplete: this.learningComplete,
+            pid: {
+                Kp: this.roundGain(this.Kp),
+                Ki: this.roundGain(this.Ki),
+                Kd: this.roundGain(this.Kd),
+                Kf: Math.round(this.Kf * 1000) / 1000
+            },
+            pidReason: this.pidHistory.length > 0 ? this.pidHistory[this.pidHistory.length - 1].reason : null,
+            pidFrozen: this.pidFrozen,
+            gainSet: this.getGainSetKey(),
+            outdoorTemp: this.outdoorTemp,
+            valveTemp: this.valveTemp,
+            valveOffset: Math.round(this.valveOffset * 100) / 100,
+            valveFrame: this.valveOffsetLearning && this.outputMode !== 'valve',
+            // Schedule, boost, away info
+            operatingMode: this.operatingMode,
+            scheduleActive: this.operatingMode === 'schedule' && this.schedule !== null,
+            scheduleOverrideActive: this.scheduleOverride.active,
+            currentScheduleSlot: this.getCurrentScheduleSlot(),
+            scheduleException: this.getCurrentScheduleException(),
+            sunTimes: this.getSunTimes(),
+            scheduleProfile: this.activeScheduleProfile,
+            scheduleProfiles: Object.keys(this.scheduleProfiles),
+            calendarEvent: this.calendarEvent
+                ? { summary: this.calendarEvent.summary, temp: this.calendarEvent.temp, end: this.calendarEvent.end }
+                : null,
+            preheatActive: this.preheat !== null,
+            rampActive: this.ramp !== null,
+            scheduleTarget: this.scheduleTarget,
+            preheatStartTime: this.preheatStartTime,
+            heatUpRate: Math.round(this.getPredictedHeatUpRate() * 100) / 100,
+            boostActive: this.boostActive,
+            boostTemp: this.boostTemp,
+            boostEndTime: this.boostEndTime,
+            boostRemaining: this.getBoostRemaining(),
+            boostUntilReached: this.boostUntilReached !== null,
+            boostReturnTo: this.boostReturnTo,
+            awayMode: this.awayMode,
+            awayTemp: this.awayTemp,
+            awayUntil: this.awayUntil,
+            awayRemaining: this.getAwayRemaining(),
+            awayWarmUp: this.awayMode && this.awayWarmUp,
+            awayWarmUpStartTime: this.awayWarmUpStartTime,
+            occupied: this.isOccupied(),
+            occupants: Object.keys(this.occupants).filter(person => this.occupants[person]),
+            ecoActive: this.isEcoActive(),
+            ecoPending: this.getEcoPending(),
+            // Sensor health
+            sensorFault: this.sensorFault !== null,
+            sensorFaultReason: this.sensorFault,
+            sensorAge: this.lastReadingTime !== null
+                ? Math.round((this.now() - this.lastReadingTime) / 1000)
+                : null,
+            // Open window
+            windowOpen: this.windowOpen,
+            windowOpenSource: this.windowOpen ? (this.windowContact !== null ? 'contact' : 'detected') : null,
+            windowRemaining: this.windowOpen && this.windowContact === null && this.windowPauseEndTime
+                ? Math.max(0, Math.round((this.windowPauseEndTime - this.now()) / 60000))
+                : 0,
+            // Frost protection
+            frostProtectionActive: this.frostProtectionActive,
+            // Relay-feedback autotune
+            autotune: this.getAutotuneStatus(),
+            // Control quality
+            quality: { ...this.quality.getSummary(this.now()), adaptation: this.adaptationStats }
+        };
+
+        if (pidResult) {
+            debug.pidTerms = {
+                P: Math.round(pidResult.P * 100) / 100,
+                I: Math.round(pidResult.I * 100) / 100,
+                D: Math.round(pidResult.D * 100) / 100,
+                F: Math.round(pidResult.F * 100) / 100
+            };
+        }
+
+        return {
+            output: value,
+            debug
+        };
+    }
+
+    /**
+     * Set new target temperature.
+     * In schedule mode, this creates a temporary override until next slot change.
+     * In manual mode, this sets the target directly.
+     */
+    setSetpoint(temp) {
+        if (typeof temp === 'number' && !isNaN(temp)) {
+            const clampedTemp = this.clamp(temp, this.minTemp, this.maxTemp);
+
+            if (this.operatingMode === 'schedule' && (this.schedule || this.calendar)) {
+                // In schedule mode: create temporary override
+                // Keep low/high from an existing override
+                const keepRange = this.scheduleOverride.active;
+                this.scheduleOverride = {
+                    active: true,
+                    temp: clampedTemp,
+                    tempLow: keepRange ? this.scheduleOverride.tempLow : null,
+                    tempHigh: keepRange ? this.scheduleOverride.tempHigh : null,
+                    slotWhenSet: this.getCurrentSlotId()
+                };
+            } else {
+                // In manual mode (or no schedule): direct control
+                this.scheduleOverride = { active: false, temp: null, slotWhenSet: null };
+            }
+
+            this.baseTargetTemp = clampedTemp;
+            this.targetTemp = clampedTemp;
+            // Reset integral to prevent windup from setpoint change
+            this.integral = 0;
+        }
+    }
+
+    /**
+     * Set low/high setpoints for heat_cool deadband.
+     * Either value may be omitted to keep the current one.
+     * In schedule mode, this creates a temporary override until next slot change.
+     */
+    setSetpointRange(low, high) {
+        const lowValid = typeof low === 'number' && !isNaN(low);
+        const highValid = typeof high === 'number' && !isNaN(high);
+        if (!lowValid && !highValid) return;
+
+        const scheduleMode = this.operatingMode === 'schedule' && (this.schedule || this.calendar);
+        let newLow = lowValid ? this.clamp(low, this.minTemp, this.maxTemp)
+            : (scheduleMode ? this.targetTempLow : this.baseTargetTempLow);
+        let newHigh = highValid ? this.clamp(high, this.minTemp, this.maxTemp)
+            : (scheduleMode ? this.targetTempHigh : this.baseTargetTempHigh);
+
+        // Keep at least one precision step between low and high
+        if (newLow !== null && newHigh !== null && newHigh < newLow + this.precision) {
+            if (lowValid) {
+                newHigh = Math.min(newLow + this.precision, this.maxTemp);
+                newLow = newHigh - this.precision;
+            } else {
+                newLow = Math.max(newHigh - this.precision, this.minTemp);
+                newHigh = newLow + this.precision;
+            }
+        }
+
+        if (scheduleMode) {
+            // In schedule mode: create temporary override (single target stays as is)
+            this.scheduleOverride = {
+                active: true,
+                temp: this.scheduleOverride.active ? this.scheduleOverride.temp : this.getScheduledTemp(),
+                tempLow: newLow,
+                tempHigh: newHigh,
+                slotWhenSet: this.getCurrentSlotId()
+            };
+        } else {
+            this.baseTargetTempLow = newLow;
+            this.baseTargetTempHigh = newHigh;
+        }
+
+        this.targetTempLow = newLow;
+        this.targetTempHigh = newHigh;
+        // Reset integral to prevent windup from setpoint change
+        this.integral = 0;
+    }
+
+    /**
+     * Set outdoor temperature (for weather compensation)
+     */
+    setOutdoorTemp(temp) {
+        if (typeof temp === 'number' && !isNaN(temp)) {
+            this.outdoorTemp = temp;
+            this.outdoorTempTime = this.now();
+        }
+    }
+
+    /**
+     * Set TRV internal sensor temperature (for offset learning)
+     */
+    setValveTemp(temp) {
+        if (typeof temp === 'number' && !isNaN(temp)) {
+            this.valveTemp = temp;
+            this.valveTempTime = this.now();
+        }
+    }
+
+    /**
+     * Set operating mode: 'manual', 'schedule', or 'off'
+     */
+    setOperatingMode(mode) {
+        if (['manual', 'schedule', 'off'].includes(mode)) {
+            const previousMode = this.operatingMode;
+            this.operatingMode = mode;
+
+            // Clear schedule override when switching modes
+            if (previousMode !== mode) {
+                this.scheduleOverride = { active: false, temp: null, slotWhenSet: null };
+            }
+
+            // Reset integral when switching modes
+            this.integral = 0;
+        }
+    }
+
+    /**
+     * Set weekly schedule
+     * @param {object} schedule - { monday: [{time: "06:00", temp: 21}, ...], exceptions: [...], default: 19 }
+     */
+    setSchedule(schedule) {
+        if (schedule && typeof schedule === 'object') {
+            this.schedule = schedule;
+            this.activeScheduleProfile = null;
+        }
+    }
+
+    /**
+     * Set named schedule profiles (replaces all profiles)
+     * @param {object} profiles - { office: { monday: [...], ... }, home: {...} }
+     * @returns {boolean} true if profiles were accepted
+     */
+    setScheduleProfiles(profiles) {
+        if (!profiles || typeof profiles !== 'object' || Array.isArray(profiles)) {
+            return false;
+        }
+
+        this.scheduleProfiles = {};
+        Object.keys(profiles).forEach(name => {
+            if (profiles[name] && typeof profiles[name] === 'object') {
+                this.scheduleProfiles[name] = profiles[name];
+            }
+        });
+
+        // Active profile was updated - follow its new version
+        if (this.activeScheduleProfile !== null) {
+            if (this.scheduleProfiles[this.activeScheduleProfile]) {
+                this.setScheduleProfile(this.activeScheduleProfile);
+            } else {
+                this.activeScheduleProfile = null;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Activate a named schedule profile
+     * Profiles without timezone keep the timezone of the current schedule.
+     * @param {string} name - Profile name
+     * @returns {boolean} true if the profile exists
+     */
+    setScheduleProfile(name) {
+        const profile = this.scheduleProfiles[name];
+        if (!profile) {
+            return false;
+        }
+
+        const timezone = profile.timezone || (this.schedule && this.schedule.timezone) || 'local';
+        const changed = this.activeScheduleProfile !== name;
+        this.schedule = { ...profile, timezone };
+        this.activeScheduleProfile = name;
+
+        // Override belongs to the previous pattern
+        if (changed) {
+            this.scheduleOverride = { active: false, temp: null, slotWhenSet: null };
+        }
+
+        return true;
+    }
+
+    /**
+     * Load an ICS calendar (replaces the previous one)
+     * @param {string|null} text - ICS content, empty or null to remove the calendar
+     * @returns {number} number of events loaded
+     */
+    setCalendar(text) {
+        if (!text) {
+            this.calendar = null;
+            this.calendarSource = null;
+            this.calendarEvent = null;
+            return 0;
+        }
+
+        const calendar = new IcsCalendar({ keywords: this.calendarKeywords });
+        const count = calendar.load(text);
+        this.calendar = calendar;
+        this.calendarSource = String(text);
+        return count;
+    }
+
+    /**
+     * Get the calendar event with a keyword running now
+     * @returns {object|null} { uid, summary, keyword, temp, start, end } with temp in °C
+     */
+    getCalendarEvent() {
+        if (!this.calendar) return null;
+
+        const timezone = this.schedule && this.schedule.timezone ? this.schedule.timezone : 'local';
+        const event = this.calendar.getEventAt(this.now(), timezone);
+        if (!event) return null;
+
+        return { ...event, temp: event.temp === 'away' ? this.awayTemp : event.temp };
+    }
+
+    /**
+     * Set boost mode
+     * Temperature: `temp` (°C) or `relative` (°C added to the target without boost).
+     * End: `duration` (minutes), `until` ("HH:MM" in the schedule timezone) and/or
+     * `untilReached: true` (ends once the room reaches the boost temperature) - whichever comes first.
+     * `returnTo` is a setpoint applied when the boost ends.
+     * @param {object|boolean} boost - e.g. { temp: 24, duration: 60 }, { relative: 2, until: "18:30" },
+     *        true for the default boost (boostRelative / boostDuration), or false to disable
+     * @returns {boolean} true if the boost was accepted
+     */
+    setBoost(boost) {
+        if (boost === false) {
+            this.endBoost(false);
+            return true;
+        }
+        if (boost === true) {
+            boost = { ...this.boostDefaults };
+        }
+        if (!boost || typeof boost !== 'object') {
+            return false;
+        }
+
+        let temp = parseFloat(boost.temp);
+        const relative = parseFloat(boost.relative);
+        if (isNaN(temp) && !isNaN(relative)) {
+            temp = this.getUnboostedTarget() + relative;
+        }
+        if (isNaN(temp)) {
+            return false;
+        }
+
+        const now = this.now();
+        const ends = [];
+        const duration = parseInt(boost.duration, 10);
+        if (!isNaN(duration) && duration > 0) {
+            ends.push(now + duration * 60000);
+        }
+        if (boost.until !== undefined && boost.until !== null && boost.until !== '') {
+            const until = this.getNextTimeOfDay(boost.until, now);
+            if (until === null) {
+                return false;
+            }
+            ends.push(until);
+        }
+        const untilReached = boost.untilReached === true;
+        if (ends.length === 0 && !untilReached) {
+            return false;
+        }
+
+        const returnTo = parseFloat(boost.returnTo);
+
+        this.boostActive = true;
+        this.boostTemp = this.clamp(temp, this.minTemp, this.maxTemp);
+        this.boostEndTime = ends.length > 0 ? Math.min(...ends) : null;
+        this.boostReturnTo = isNaN(returnTo) ? null : this.clamp(returnTo, this.minTemp, this.maxTemp);
+        this.boostUntilReached = null;
+        if (untilReached) {
+            // Direction from the room's position - heat_cool boosts can go either way
+            const rising = this.lastReadingValue !== null
+                ? this.boostTemp >= this.lastReadingValue
+                : this.mode !== 'cool';
+            this.boostUntilReached = rising ? 'rise' : 'fall';
+        }
+        return true;
+    }
+
+    /**
+     * Target temperature the thermostat would use without boost
+     * (schedule, override or manual setpoint, limited by away mode)
+     */
+    getUnboostedTarget() {
+        if (!this.boostActive) {
+            this.calculateEffectiveTarget();
+            return this.targetTemp;
+        }
+
+        this.boostActive = false;
+        this.calculateEffectiveTarget();
+        const target = this.targetTemp;
+        this.boostActive = true;
+        this.calculateEffectiveTarget();
+        return target;
+    }
+
+    /**
+     * Next occurrence of a wall clock time in the schedule timezone
+     * @param {string} time - "HH:MM"
+     * @param {number} now - Timestamp in ms
+     * @returns {number|null} timestamp in ms (today, or tomorrow if already passed), null if invalid
+     */
+    getNextTimeOfDay(time, now = this.now()) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(String(time).trim());
+        if (!match || parseInt(match[1], 10) > 23 || parseInt(match[2], 10) > 59) {
+            return null;
+        }
+
+        const { hours, minutes } = this.getTimeInTimezone(this.schedule ? this.schedule.timezone : 'local', now);
+        let delta = parseInt(match[1], 10) * 60 + parseInt(match[2], 10) - (hours * 60 + minutes);
+        if (delta <= 0) {
+            delta += 24 * 60;
+        }
+        // Whole minutes from the start of the current minute
+        return now - (now % 60000) + delta * 60000;
+    }
+
+    /**
+     * End boost mode
+     * @param {boolean} applyReturnTo - Apply the boost's returnTo setpoint
+     */
+    endBoost(applyReturnTo = true) {
+        const returnTo = this.boostReturnTo;
+        this.boostActive = false;
+        this.boostTemp = null;
+        this.boostEndTime = null;
+        this.boostUntilReached = null;
+        this.boostReturnTo = null;
+
+        if (applyReturnTo && returnTo !== null) {
+            this.setSetpoint(returnTo);
+        }
+    }
+
+    /**
+     * Set away mode
+     * With a return time (`until`, ISO date or ms timestamp) away mode ends by itself,
+     * and heating resumes early enough to reach the normal target at that time.
+     * A return time already set stays unless a new one (or `until: null`) is given.
+     * @param {boolean|number|object} away - true/false, specific temperature or { temp, until }
+     * @returns {boolean} true if accepted
+     */
+    setAwayMode(away) {
+        if (away === false) {
+            this.endAway();
+            return true;
+        }
+
+        let temp = null;
+        let until; // undefined = keep the current return time
+        if (typeof away === 'number') {
+            temp = away;
+        } else if (away && typeof away === 'object') {
+            temp = away.temp !== undefined ? parseFloat(away.temp) : null;
+            if (away.until === null) {
+                until = null;
+            } else if (away.until !== undefined) {
+                until = typeof away.until === 'number' ? away.until : Date.parse(away.until);
+                if (isNaN(until) || until <= this.now()) {
+                    return false;
+                }
+            }
+        } else if (away !== true) {
+            return false;
+        }
+        if (temp !== null && isNaN(temp)) {
+            return false;
+        }
 
-        // Mark if parameters actually changed
-        if (this.Kp !== oldKp || this.Kd !== oldKd) {
-            this.parametersChanged = true;
+        if (!this.awayMode) {
+            this.awayStartTime = this.now();
+        }
+        this.awayMode = true;
+        if (until !== undefined) {
+            this.awayUntil = until;
+            this.awayWarmUp = false;
         }
+        if (temp !== null) {
+            this.awayTemp = this.clamp(temp, this.minTemp, this.maxTemp);
+        }
+        return true;
     }
 
     /**
-     * Detect temperature trend
+     * End away mode
      */
-    detectTrend() {
-        if (this.trendWindow.length < 3) {
-            return 'unknown';
-        }
-
-        const first = this.trendWindow[0];
-        const last = this.trendWindow[this.trendWindow.length - 1];
-        const diff = last - first;
+    endAway() {
+        this.awayMode = false;
+        this.awayStartTime = null;
+        this.awayUntil = null;
+        this.awayWarmUp = false;
+        this.awayWarmUpStartTime = null;
+    }
 
-        if (diff > 0.1) {
-            return 'heating';
-        } else if (diff < -0.1) {
-            return 'cooling';
+    /**
+     * End away mode at the return time
+     */
+    checkAwayExpiry() {
+        if (this.awayMode && this.awayUntil !== null && this.now() >= this.awayUntil) {
+            this.endAway();
         }
-        return 'stable';
     }
 
     /**
-     * Round value to thermostat precision
+     * Minutes until the return from away mode
+     * @returns {number|null} null without away mode or return time
      */
-    roundToPrecision(value) {
-        return Math.round(value / this.precision) * this.precision;
+    getAwayRemaining() {
+        if (!this.awayMode || this.awayUntil === null) return null;
+        return Math.max(0, Math.round((this.awayUntil - this.now()) / 60000));
     }
 
     /**
-     * Create output object
+     * Pre-arrival warm-up: stop limiting to the away temperature early enough
+     * to reach the normal target at the return time (learned heat-up rate,
+     * limited by maxPreheatTime). Latched once started.
+     * @param {number} normalTemp - Target without away mode
+     * @returns {boolean} true if away mode no longer limits the target
      */
-    createOutput(output, currentTemp, error, trend, pidResult = null, activeMode = null) {
-        const debug = {
-            currentTemp,
-            targetTemp: this.targetTemp,
-            baseTargetTemp: this.baseTargetTemp,
-            setpoint: this.roundToPrecision(output),
-            error: Math.round(error * 100) / 100,
-            trend,
-            mode: this.mode,
-            activeMode: activeMode || this.mode,
-            precision: this.precision,
-            state: this.learningPhase ? 'learning' : 'running',
-            learningComplete: this.learningComplete,
-            pid: {
-                Kp: Math.round(this.Kp * 1000) / 1000,
-                Ki: Math.round(this.Ki * 1000) / 1000,
-                Kd: Math.round(this.Kd * 1000) / 1000
-            },
-            // Schedule, boost, away info
-            operatingMode: this.operatingMode,
-            scheduleActive: this.operatingMode === 'schedule' && this.schedule !== null,
-            scheduleOverrideActive: this.scheduleOverride.active,
-            currentScheduleSlot: this.getCurrentScheduleSlot(),
-            boostActive: this.boostActive,
-            boostTemp: this.boostTemp,
-            boostEndTime: this.boostEndTime,
-            boostRemaining: this.boostActive && this.boostEndTime
-                ? Math.max(0, Math.round((this.boostEndTime - Date.now()) / 60000))
-                : 0,
-            awayMode: this.awayMode,
-            awayTemp: this.awayTemp
-        };
-
-        if (pidResult) {
-            debug.pidTerms = {
-                P: Math.round(pidResult.P * 100) / 100,
-                I: Math.round(pidResult.I * 100) / 100,
-                D: Math.round(pidResult.D * 100) / 100
-            };
+    isAwayWarmUp(normalTemp) {
+        this.awayWarmUpStartTime = null;
+        if (this.awayUntil === null || this.mode === 'cool' || normalTemp <= this.awayTemp) {
+            this.awayWarmUp = false;
+            return false;
+        }
+        if (this.awayWarmUp) {
+            return true;
         }
 
-        return {
-            output: this.roundToPrecision(output),
-            debug
-        };
+        const roomTemp = this.lastReadingValue;
+        const rise = Math.max(0, normalTemp - (roomTemp !== null ? roomTemp : this.awayTemp));
+        const leadTime = Math.min(this.maxPreheatTime, rise / this.getPredictedHeatUpRate() * 3600000);
+        this.awayWarmUpStartTime = Math.round(this.awayUntil - leadTime);
+
+        this.awayWarmUp = this.now() >= this.awayWarmUpStartTime;
+        return this.awayWarmUp;
     }
 
     /**
-     * Set new target temperature.
-     * In schedule mode, this creates a temporary override until next slot change.
-     * In manual mode, this sets the target directly.
+     * Update occupant presence
+     * @param {object} presence - { person: true/false }, also "home"/"not_home"/"on"/"off"; null removes a person
+     * @returns {boolean} true if accepted
      */
-    setSetpoint(temp) {
-        if (typeof temp === 'number' && !isNaN(temp)) {
-            const clampedTemp = this.clamp(temp, this.minTemp, this.maxTemp);
+    setPresence(presence) {
+        if (!presence || typeof presence !== 'object' || Array.isArray(presence)) {
+            return false;
+        }
 
-            if (this.operatingMode === 'schedule' && this.schedule) {
-                // In schedule mode: create temporary override
-                this.scheduleOverride = {
-                    active: true,
-                    temp: clampedTemp,
-                    slotWhenSet: this.getCurrentSlotId()
-                };
-            } else {
-                // In manual mode (or no schedule): direct control
-                this.scheduleOverride = { active: false, temp: null, slotWhenSet: null };
+        const values = { home: true, on: true, true: true, '1': true, not_home: false, away: false, off: false, false: false, '0': false };
+        const wasOccupied = this.isOccupied();
+        for (const [person, value] of Object.entries(presence)) {
+            if (value === null) {
+                delete this.occupants[person];
+            } else if (typeof value === 'boolean') {
+                this.occupants[person] = value;
+            } else if (values[String(value).toLowerCase()] !== undefined) {
+                this.occupants[person] = values[String(value).toLowerCase()];
             }
+        }
 
-            this.baseTargetTemp = clampedTemp;
-            this.targetTemp = clampedTemp;
-            // Reset integral to prevent windup from setpoint change
-            this.integral = 0;
+        const occupied = this.isOccupied();
+        if (occupied === false && wasOccupied !== false) {
+            this.vacantSince = this.now();
+        } else if (occupied !== false) {
+            this.vacantSince = null;
         }
+        if (occupied && !wasOccupied) {
+            // Someone arrived - back to the normal target, the next departure sets back again
+            this.ecoForced = false;
+            this.ecoSuspended = false;
+        }
+        return true;
     }
 
     /**
-     * Set operating mode: 'manual', 'schedule', or 'off'
+     * Whether anyone is home
+     * @returns {boolean|null} null without presence information
      */
-    setOperatingMode(mode) {
-        if (['manual', 'schedule', 'off'].includes(mode)) {
-            const previousMode = this.operatingMode;
-            this.operatingMode = mode;
+    isOccupied() {
+        const states = Object.values(this.occupants);
+        if (states.length === 0) return null;
+        return states.includes(true);
+    }
 
-            // Clear schedule override when switching modes
-            if (previousMode !== mode) {
-                this.scheduleOverride = { active: false, temp: null, slotWhenSet: null };
-            }
+    /**
+     * Force eco setback regardless of presence, or end it - also the presence
+     * setback while nobody is home (both until someone arrives)
+     * @param {boolean} eco
+     */
+    setEco(eco) {
+        this.ecoForced = eco === true;
+        this.ecoSuspended = eco !== true && this.vacantSince !== null;
+    }
 
-            // Reset integral when switching modes
-            this.integral = 0;
-        }
+    /**
+     * Whether the eco setback applies: forced, or nobody home for the grace period
+     */
+    isEcoActive() {
+        if (this.ecoForced) return true;
+        if (this.ecoSuspended) return false;
+        return this.vacantSince !== null && this.now() - this.vacantSince >= this.presenceGracePeriod;
     }
 
     /**
-     * Set weekly schedule
-     * @param {object} schedule - { monday: [{time: "06:00", temp: 21}, ...], default: 19 }
+     * Minutes until the eco setback starts while nobody is home
+     * @returns {number|null} null if not waiting for the grace period
      */
-    setSchedule(schedule) {
-        if (schedule && typeof schedule === 'object') {
-            this.schedule = schedule;
-        }
+    getEcoPending() {
+        if (this.vacantSince === null || this.ecoSuspended || this.isEcoActive()) return null;
+        return Math.max(0, Math.round((this.vacantSince + this.presenceGracePeriod - this.now()) / 60000));
     }
 
     /**
-     * Set boost mode
-     * @param {object|boolean} boost - { temp: 24, duration: 60 } or false to disable
+     * Set window state from a contact sensor
+     * @param {boolean|null} open - true/false from contact sensor, null to return to heuristic detection
      */
-    setBoost(boost) {
-        if (boost === false) {
-            this.boostActive = false;
-            this.boostTemp = null;
-            this.boostEndTime = null;
-        } else if (boost && typeof boost === 'object') {
-            const temp = parseFloat(boost.temp);
-            const duration = parseInt(boost.duration, 10);
-            if (!isNaN(temp) && !isNaN(duration) && duration > 0) {
-                this.boostActive = true;
-                this.boostTemp = this.clamp(temp, this.minTemp, this.maxTemp);
-                this.boostEndTime = Date.now() + (duration * 60 * 1000);
-            }
+    setWindowState(open) {
+        if (open !== true && open !== false && open !== null) {
+            return;
+        }
+
+        const wasOpen = this.windowOpen;
+        this.windowContact = open;
+        this.windowOpen = open === true;
+        // Any explicit state ends a pause started by the heuristic
+        this.windowPauseEndTime = null;
+
+        if (wasOpen && !this.windowOpen) {
+            // Window closed - resume without rate-limiting from the paused output
+            this.lastOutput = null;
         }
     }
 
     /**
-     * Set away mode
-     * @param {boolean|number} away - true/false or specific temperature
+     * Check if boost mode has expired or reached its temperature
+     * @param {number|null} currentTemp - Current reading (null: time limit only)
      */
-    setAwayMode(away) {
-        if (away === false) {
-            this.awayMode = false;
-        } else if (away === true) {
-            this.awayMode = true;
-        } else if (typeof away === 'number' && !isNaN(away)) {
-            this.awayMode = true;
-            this.awayTemp = this.clamp(away, this.minTemp, this.maxTemp);
+    checkBoostExpiry(currentTemp = null) {
+        if (!this.boostActive) return;
+
+        const expired = this.boostEndTime !== null && this.now() > this.boostEndTime;
+        const reached = this.boostUntilReached !== null && typeof currentTemp === 'number' && !isNaN(currentTemp) &&
+            (this.boostUntilReached === 'rise' ? currentTemp >= this.boostTemp : currentTemp <= this.boostTemp);
+
+        if (expired || reached) {
+            this.endBoost();
         }
     }
 
     /**
-     * Check if boost mode has expired
+     * Minutes left of the boost
+     * @returns {number|null} 0 without boost, null for an untilReached boost without time limit
      */
-    checkBoostExpiry() {
-        if (this.boostActive && this.boostEndTime && Date.now() > this.boostEndTime) {
-            this.boostActive = false;
-            this.boostTemp = null;
-            this.boostEndTime = null;
-        }
+    getBoostRemaining() {
+        if (!this.boostActive) return 0;
+        if (this.boostEndTime === null) return null;
+        return Math.max(0, Math.round((this.boostEndTime - this.now()) / 60000));
     }
 
     /**
      * Get time components for a given timezone
      * Supports: 'local', 'UTC', or IANA timezone names (e.g., 'Europe/Warsaw')
+     * @param {string} timezone - Timezone
+     * @param {number} time - Timestamp in ms (default: now)
+     * @returns {object} { dayIndex, hours, minutes, dateKey } - dateKey is the calendar date "YYYY-MM-DD"
      */
-    getTimeInTimezone(timezone) {
-        const now = new Date();
+    getTimeInTimezone(timezone, time = this.now()) {
+        const now = new Date(time);
+        const pad = value => String(value).padStart(2, '0');
 
         if (!timezone || timezone === 'local') {
             return {
                 dayIndex: now.getDay(),
                 hours: now.getHours(),
-                minutes: now.getMinutes()
+                minutes: now.getMinutes(),
+                dateKey: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`
             };
         }
 
@@ -637,7 +2377,8 @@ class AdaptiveController {
             return {
                 dayIndex: now.getUTCDay(),
                 hours: now.getUTCHours(),
-                minutes: now.getUTCMinutes()
+                minutes: now.getUTCMinutes(),
+                dateKey: now.toISOString().slice(0, 10)
             };
         }
 
@@ -647,6 +2388,9 @@ class AdaptiveController {
             const formatter = new Intl.DateTimeFormat('en-US', {
                 ...options,
                 weekday: 'short',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
                 hour: 'numeric',
                 minute: 'numeric'
             });
@@ -654,94 +2398,259 @@ class AdaptiveController {
             const parts = formatter.formatToParts(now);
             const weekdayMap = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
 
-            let dayIndex = 0, hours = 0, minutes = 0;
+            let dayIndex = 0, hours = 0, minutes = 0, year = 0, month = 0, day = 0;
             for (const part of parts) {
                 if (part.type === 'weekday') dayIndex = weekdayMap[part.value] || 0;
                 if (part.type === 'hour') hours = parseInt(part.value, 10);
                 if (part.type === 'minute') minutes = parseInt(part.value, 10);
+                if (part.type === 'year') year = parseInt(part.value, 10);
+                if (part.type === 'month') month = parseInt(part.value, 10);
+                if (part.type === 'day') day = parseInt(part.value, 10);
             }
 
             // Handle midnight edge case (hour: 24 -> 0)
             if (hours === 24) hours = 0;
 
-            return { dayIndex, hours, minutes };
+            return { dayIndex, hours, minutes, dateKey: `${year}-${pad(month)}-${pad(day)}` };
         } catch (e) {
             // Fallback to local time if timezone is invalid
-            return {
-                dayIndex: now.getDay(),
-                hours: now.getHours(),
-                minutes: now.getMinutes()
-            };
+            return this.getTimeInTimezone('local', time);
         }
     }
 
     /**
-     * Get temperature from schedule for current time
-     * Supports timezone configuration: 'local', 'UTC', or IANA timezone names
+     * Find the schedule slot active at current time.
+     * Temperature carries over midnight: before today's first slot (or on a day
+     * without slots) the last slot of the previous day stays active.
+     * @returns {object|null} { slot, day } or null if no slot applies - day is the
+     *          weekday name, or the date for days covered by an exception
      */
-    getScheduledTemp() {
-        if (!this.schedule) return this.baseTargetTemp;
-
-        const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-        const { dayIndex, hours, minutes } = this.getTimeInTimezone(this.schedule.timezone);
+    findActiveSlot() {
+        if (!this.schedule) return null;
 
-        const daySchedule = this.schedule[dayNames[dayIndex]];
+        const { dayIndex, hours, minutes, dateKey } = this.getTimeInTimezone(this.schedule.timezone);
+        const currentTime = hours * 60 + minutes;
 
-        // If no slots for today, try to get last slot from previous day
-        if (!daySchedule || !Array.isArray(daySchedule) || daySchedule.length === 0) {
-            // Look for last slot from yesterday
-            const yesterdayIndex = (dayIndex + 6) % 7;
-            const yesterdaySchedule = this.schedule[dayNames[yesterdayIndex]];
-            if (yesterdaySchedule && Array.isArray(yesterdaySchedule) && yesterdaySchedule.length > 0) {
-                return yesterdaySchedule[yesterdaySchedule.length - 1].temp;
+        // Find last slot before or at current time
+        const todaySlots = this.getDaySlots(dayIndex, dateKey);
+        for (let i = todaySlots.length - 1; i >= 0; i--) {
+            if (todaySlots[i].minutes <= currentTime) {
+                return { slot: todaySlots[i].slot, day: this.getScheduleDayId(dayIndex, dateKey) };
             }
-            // No schedule anywhere - use target temp from Settings
-            return this.baseTargetTemp;
         }
 
+        // No slot yet today - use last slot from previous day
+        const yesterdayIndex = (dayIndex + 6) % 7;
+        const yesterdayKey = this.shiftDateKey(dateKey, -1);
+        const yesterdaySlots = this.getDaySlots(yesterdayIndex, yesterdayKey);
+        if (yesterdaySlots.length > 0) {
+            return {
+                slot: yesterdaySlots[yesterdaySlots.length - 1].slot,
+                day: this.getScheduleDayId(yesterdayIndex, yesterdayKey)
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Find the next schedule slot after current time (looks up to one week ahead)
+     * @returns {object|null} { slot, day, minutesUntil } or null if schedule has no slots
+     */
+    findNextSlot() {
+        if (!this.schedule) return null;
+
+        const { dayIndex, hours, minutes, dateKey } = this.getTimeInTimezone(this.schedule.timezone);
         const currentTime = hours * 60 + minutes;
 
-        // Find last slot before or at current time
-        let activeSlot = null;
-        for (const slot of daySchedule) {
-            if (slot.time && slot.temp !== undefined) {
-                const [slotHours, slotMins] = slot.time.split(':').map(Number);
-                const slotMinutes = slotHours * 60 + (slotMins || 0);
-                if (slotMinutes <= currentTime) {
-                    activeSlot = slot;
-                }
+        for (let offset = 0; offset <= 7; offset++) {
+            const index = (dayIndex + offset) % 7;
+            const key = this.shiftDateKey(dateKey, offset);
+            const slots = this.getDaySlots(index, key).slice().sort((a, b) => a.minutes - b.minutes);
+            for (const entry of slots) {
+                if (offset === 0 && entry.minutes <= currentTime) continue;
+                return {
+                    slot: entry.slot,
+                    day: this.getScheduleDayId(index, key),
+                    minutesUntil: offset * 1440 + entry.minutes - currentTime
+                };
             }
         }
 
-        // If no slot before current time (e.g., 00:30 and first slot is 06:00),
-        // use last slot from previous day (temperature carries over midnight)
-        if (!activeSlot) {
-            const yesterdayIndex = (dayIndex + 6) % 7;
-            const yesterdaySchedule = this.schedule[dayNames[yesterdayIndex]];
-            if (yesterdaySchedule && Array.isArray(yesterdaySchedule) && yesterdaySchedule.length > 0) {
-                activeSlot = yesterdaySchedule[yesterdaySchedule.length - 1];
+        return null;
+    }
+
+    /**
+     * Get slots of a day with start time resolved to minutes since midnight.
+     * A schedule exception covering the date replaces the weekday's slots.
+     * @param {number} dayIndex - 0 (sunday) to 6 (saturday)
+     * @param {string} dateKey - Calendar date "YYYY-MM-DD" (optional)
+     * @returns {Array} [{ slot, minutes }] in time order
+     */
+    getDaySlots(dayIndex, dateKey) {
+        if (!this.schedule) return [];
+
+        let daySchedule = this.schedule[DAY_NAMES[dayIndex]];
+        const exception = this.findScheduleException(dateKey);
+        if (exception) {
+            daySchedule = DAY_NAMES.includes(exception.like) ? this.schedule[exception.like] : exception.slots;
+        }
+
+        if (!daySchedule || !Array.isArray(daySchedule)) {
+            return [];
+        }
+
+        return daySchedule
+            .filter(slot => slot && slot.time)
+            .map(slot => ({ slot, minutes: this.parseSlotTime(slot.time, dateKey) }))
+            // Sun-relative slots can't be resolved without location (or during polar day/night)
+            .filter(entry => !isNaN(entry.minutes))
+            // Sun-relative slots move through the day - keep slots in time order
+            .sort((a, b) => a.minutes - b.minutes);
+    }
+
+    /**
+     * Find the schedule exception covering a date.
+     * Exceptions: [{ date: "2026-12-24" }, { date: "12-25" } (every year), { from: "2026-08-01", to: "2026-08-14" }],
+     * each with own `slots` or `like: "sunday"`. Single dates win over ranges.
+     * @param {string} dateKey - Calendar date "YYYY-MM-DD"
+     * @returns {object|null} exception entry or null
+     */
+    findScheduleException(dateKey) {
+        const exceptions = this.schedule && Array.isArray(this.schedule.exceptions) ? this.schedule.exceptions : [];
+        if (!dateKey) return null;
+
+        let range = null;
+        for (const exception of exceptions) {
+            if (!exception) continue;
+            if (exception.date === dateKey || exception.date === dateKey.slice(5)) {
+                return exception;
+            }
+            if (!range && exception.from && exception.to && exception.from <= dateKey && dateKey <= exception.to) {
+                range = exception;
             }
         }
 
-        if (activeSlot && activeSlot.temp !== undefined) {
-            return activeSlot.temp;
+        return range;
+    }
+
+    /**
+     * Identify a schedule day: the weekday name, or the date if an exception covers it
+     */
+    getScheduleDayId(dayIndex, dateKey) {
+        return this.findScheduleException(dateKey) ? dateKey : DAY_NAMES[dayIndex];
+    }
+
+    /**
+     * Shift a calendar date "YYYY-MM-DD" by whole days
+     */
+    shiftDateKey(dateKey, days) {
+        if (!dateKey) return dateKey;
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Parse slot time to minutes since midnight.
+     * Accepts "HH:MM" or sun-relative times "sunrise", "sunset-30", "sunrise+60" (minutes),
+     * which need a location and the calendar date.
+     * @param {string} time - Slot time
+     * @param {string} dateKey - Calendar date "YYYY-MM-DD" (for sun-relative times)
+     * @returns {number} minutes since midnight, NaN if it can't be resolved
+     */
+    parseSlotTime(time, dateKey) {
+        const sunMatch = /^(sunrise|sunset)\s*(?:([+-])\s*(\d+))?$/i.exec(String(time).trim());
+        if (sunMatch) {
+            const offset = sunMatch[3] ? parseInt(sunMatch[3], 10) * (sunMatch[2] === '-' ? -1 : 1) : 0;
+            return this.getSunSlotMinutes(sunMatch[1].toLowerCase(), offset, dateKey);
+        }
+
+        const [slotHours, slotMins] = String(time).split(':').map(Number);
+        return slotHours * 60 + (slotMins || 0);
+    }
+
+    /**
+     * Resolve a sun-relative slot time in the schedule timezone
+     * @param {string} event - 'sunrise' or 'sunset'
+     * @param {number} offset - Minutes after (positive) or before (negative) the event
+     * @param {string} dateKey - Calendar date "YYYY-MM-DD"
+     * @returns {number} minutes since midnight (kept within the day), NaN without location or sun event
+     */
+    getSunSlotMinutes(event, offset, dateKey) {
+        if (!this.sun || !dateKey) return NaN;
+
+        const time = this.sun.getTimes(dateKey)[event];
+        if (time === null) return NaN;
+
+        const { hours, minutes } = this.getTimeInTimezone(this.schedule ? this.schedule.timezone : 'local', time);
+        return Math.min(Math.max(hours * 60 + minutes + offset, 0), 1439);
+    }
+
+    /**
+     * Get sunrise/sunset of today in the schedule timezone (for debug output)
+     * @returns {object|null} { sunrise: "HH:MM", sunset: "HH:MM" } or null without location
+     */
+    getSunTimes() {
+        if (!this.sun) return null;
+
+        const timezone = this.schedule ? this.schedule.timezone : 'local';
+        const { dateKey } = this.getTimeInTimezone(timezone);
+        const format = minutes => isNaN(minutes)
+            ? null
+            : `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+        return {
+            sunrise: format(this.getSunSlotMinutes('sunrise', 0, dateKey)),
+            sunset: format(this.getSunSlotMinutes('sunset', 0, dateKey))
+        };
+    }
+
+    /**
+     * Get temperature from schedule for current time
+     * Supports timezone configuration: 'local', 'UTC', or IANA timezone names
+     */
+    getScheduledTemp() {
+        const active = this.findActiveSlot();
+
+        if (active && active.slot.temp !== undefined) {
+            return active.slot.temp;
         }
 
-        // Fallback to target temp from Settings
+        // No schedule anywhere - use target temp from Settings
         return this.baseTargetTemp;
     }
 
+    /**
+     * Get low/high setpoints from schedule for current time (heat_cool deadband)
+     * @returns {object|null} { low, high } or null if active slot has no range
+     */
+    getScheduledRange() {
+        const active = this.findActiveSlot();
+
+        if (active && active.slot.tempLow !== undefined && active.slot.tempHigh !== undefined) {
+            return { low: active.slot.tempLow, high: active.slot.tempHigh };
+        }
+
+        return null;
+    }
+
     /**
      * Calculate effective target temperature based on priority:
      * 1. BOOST (highest priority)
      * 2. AWAY (limits max temp)
-     * 3. SCHEDULE OVERRIDE (in schedule mode, temporary user override)
-     * 4. SCHEDULE (if in schedule mode)
-     * 5. MANUAL (base target - in manual mode)
+     * 3. ECO (presence setback from the target below)
+     * 4. SCHEDULE OVERRIDE (in schedule mode, temporary user override)
+     * 5. CALENDAR EVENT (in schedule mode, ICS event with a keyword)
+     * 6. SCHEDULE (if in schedule mode)
+     * 7. MANUAL (base target - in manual mode)
      */
     calculateEffectiveTarget() {
         let effectiveTemp = this.baseTargetTemp;
 
+        // Calendar events take part in schedule mode only
+        this.calendarEvent = this.operatingMode === 'schedule' ? this.getCalendarEvent() : null;
+        const calendarEvent = this.calendarEvent;
+
         // Check for schedule slot change to potentially clear override
         if (this.operatingMode === 'schedule' && this.scheduleOverride.active) {
             const currentSlotId = this.getCurrentSlotId();
@@ -751,30 +2660,95 @@ class AdaptiveController {
             }
         }
 
+        let effectiveLow = this.baseTargetTempLow;
+        let effectiveHigh = this.baseTargetTempHigh;
+
+        // Preheat only applies while following the schedule
+        if (this.operatingMode !== 'schedule' || !this.schedule || this.scheduleOverride.active || calendarEvent) {
+            this.preheat = null;
+            this.preheatStartTime = null;
+        }
+
         // Apply temperature based on operating mode
-        if (this.operatingMode === 'schedule' && this.schedule) {
+        if (this.operatingMode === 'schedule' && (this.schedule || calendarEvent)) {
             if (this.scheduleOverride.active) {
-                // Temporary override is active
+                // Temporary override is active (wins over a running ramp)
                 effectiveTemp = this.scheduleOverride.temp;
+            } else if (calendarEvent) {
+                // Calendar event replaces the schedule while it runs
+                effectiveTemp = calendarEvent.temp;
             } else {
-                // No override - use schedule
-                effectiveTemp = this.getScheduledTemp();
+                // No override - use schedule (brought forward by optimal start), ramped to new slot temperatures
+                const scheduledTemp = this.applyPreheat(this.getScheduledTemp());
+                const active = this.preheat ? this.findNextSlot() : this.findActiveSlot();
+                effectiveTemp = this.applyRamp(scheduledTemp, active ? active.slot : null);
+            }
+
+            // Not following the schedule - the next ramp starts from the temperature used instead
+            if (this.scheduleOverride.active || calendarEvent) {
+                this.ramp = null;
+                this.scheduleTarget = effectiveTemp;
+            }
+
+            const hasOverrideRange = this.scheduleOverride.active &&
+                typeof this.scheduleOverride.tempLow === 'number' && typeof this.scheduleOverride.tempHigh === 'number';
+            const range = hasOverrideRange
+                ? { low: this.scheduleOverride.tempLow, high: this.scheduleOverride.tempHigh }
+                : (calendarEvent ? null : this.getScheduledRange());
+            if (range) {
+                effectiveLow = range.low;
+                effectiveHigh = range.high;
             }
         }
         // In 'manual' mode: use baseTargetTemp (already set above)
         // In 'off' mode: handled separately in update()
+        if (this.operatingMode !== 'schedule') {
+            this.ramp = null;
+            this.scheduleTarget = this.operatingMode === 'manual' ? effectiveTemp : null;
+        }
+
+        // Warm-up before the return from away mode heats to the normal target
+        const awayWarmUp = this.awayMode && this.isAwayWarmUp(effectiveTemp);
+
+        // Eco setback while nobody is home: lower heating, raise cooling targets
+        if (this.isEcoActive() && !awayWarmUp) {
+            effectiveTemp = this.mode === 'cool' ? effectiveTemp + this.ecoSetback : effectiveTemp - this.ecoSetback;
+            if (effectiveLow !== null) {
+                effectiveLow -= this.ecoSetback;
+            }
+            if (effectiveHigh !== null) {
+                effectiveHigh += this.ecoSetback;
+            }
+        }
 
-        // Away mode limits max temperature
-        if (this.awayMode) {
+        // Away mode limits max temperature (until the warm-up before the return)
+        if (this.awayMode && !awayWarmUp) {
             effectiveTemp = Math.min(effectiveTemp, this.awayTemp);
+            if (effectiveLow !== null) {
+                effectiveLow = Math.min(effectiveLow, this.awayTemp);
+            }
         }
 
+        this.targetTempLow = effectiveLow !== null ? this.clamp(effectiveLow, this.minTemp, this.maxTemp) : null;
+        this.targetTempHigh = effectiveHigh !== null ? this.clamp(effectiveHigh, this.minTemp, this.maxTemp) : null;
+
         // Boost overrides everything
         if (this.boostActive && this.boostTemp !== null) {
             effectiveTemp = this.boostTemp;
         }
 
-        this.targetTemp = this.clamp(effectiveTemp, this.minTemp, this.maxTemp);
+        // Frost protection heats to its release temperature, never below it.
+        // Where the mode wouldn't heat at all (off, cool, open window) that's the whole target.
+        // The frost target may lie below Min Temp (sent setpoints are still limited to it).
+        let lowestTarget = this.minTemp;
+        if (this.frostProtectionActive) {
+            const frostTarget = this.frostTemp + this.frostHysteresis;
+            const heatingPaused = this.operatingMode === 'off' || this.mode === 'cool' || this.windowOpen;
+            effectiveTemp = heatingPaused ? frostTarget : Math.max(effectiveTemp, frostTarget);
+            lowestTarget = Math.min(this.minTemp, frostTarget);
+        }
+
+        this.targetTemp = this.clamp(effectiveTemp, lowestTarget, this.maxTemp);
     }
 
     /**
@@ -805,8 +2779,18 @@ class AdaptiveController {
                 operatingMode: this.operatingMode,
                 activeMode: this.activeMode,
                 boostActive: this.boostActive,
-                boostRemaining: this.boostRemaining,
+                boostRemaining: this.getBoostRemaining(),
+                boostTemp: this.boostTemp,
                 awayMode: this.awayMode,
+                awayRemaining: this.getAwayRemaining(),
+                awayWarmUp: this.awayMode && this.awayWarmUp,
+                ecoActive: this.isEcoActive(),
+                ecoPending: this.getEcoPending(),
+                sensorFault: this.sensorFault !== null,
+                sensorFaultReason: this.sensorFault,
+                windowOpen: this.windowOpen,
+                frostProtectionActive: this.frostProtectionActive,
+                autotune: this.getAutotuneStatus(),
                 pid: { Kp: this.Kp, Ki: this.Ki, Kd: this.Kd }
             }
         };
@@ -818,25 +2802,14 @@ class AdaptiveController {
     getCurrentScheduleSlot() {
         if (!this.schedule) return null;
 
-        const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-        const { dayIndex, hours, minutes } = this.getTimeInTimezone(this.schedule.timezone);
-
-        const daySchedule = this.schedule[dayNames[dayIndex]];
-
-        if (!daySchedule || !Array.isArray(daySchedule) || daySchedule.length === 0) {
-            return null;
-        }
+        const { dayIndex, hours, minutes, dateKey } = this.getTimeInTimezone(this.schedule.timezone);
 
+        const daySlots = this.getDaySlots(dayIndex, dateKey);
         const currentTime = hours * 60 + minutes;
 
-        for (let i = daySchedule.length - 1; i >= 0; i--) {
-            const slot = daySchedule[i];
-            if (slot.time) {
-                const [hours, mins] = slot.time.split(':').map(Number);
-                const slotMinutes = hours * 60 + (mins || 0);
-                if (slotMinutes <= currentTime) {
-                    return slot;
-                }
+        for (let i = daySlots.length - 1; i >= 0; i--) {
+            if (daySlots[i].minutes <= currentTime) {
+                return daySlots[i].slot;
             }
         }
 
@@ -844,49 +2817,34 @@ class AdaptiveController {
     }
 
     /**
-     * Get unique identifier for the current schedule slot.
-     * Used to detect when schedule slot changes (to clear override).
-     * @returns {string|null} Slot identifier in format "dayName:HH:MM" or null
+     * Get the schedule exception covering today
+     * @returns {string|null} exception name (or its date/range) or null
      */
-    getCurrentSlotId() {
+    getCurrentScheduleException() {
         if (!this.schedule) return null;
 
-        const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-        const { dayIndex, hours, minutes } = this.getTimeInTimezone(this.schedule.timezone);
-        const daySchedule = this.schedule[dayNames[dayIndex]];
-        const currentTime = hours * 60 + minutes;
+        const exception = this.findScheduleException(this.getTimeInTimezone(this.schedule.timezone).dateKey);
+        if (!exception) return null;
 
-        // Find active slot for today
-        let activeSlot = null;
-        let activeDay = dayNames[dayIndex];
-
-        if (daySchedule && Array.isArray(daySchedule)) {
-            for (let i = daySchedule.length - 1; i >= 0; i--) {
-                const slot = daySchedule[i];
-                if (slot.time) {
-                    const [slotHours, slotMins] = slot.time.split(':').map(Number);
-                    const slotMinutes = slotHours * 60 + (slotMins || 0);
-                    if (slotMinutes <= currentTime) {
-                        activeSlot = slot;
-                        break;
-                    }
-                }
-            }
-        }
+        return exception.name || exception.date || `${exception.from}..${exception.to}`;
+    }
 
-        // If no slot found today, check yesterday's last slot
-        if (!activeSlot) {
-            const yesterdayIndex = (dayIndex + 6) % 7;
-            const yesterdaySchedule = this.schedule[dayNames[yesterdayIndex]];
-            if (yesterdaySchedule && Array.isArray(yesterdaySchedule) && yesterdaySchedule.length > 0) {
-                activeSlot = yesterdaySchedule[yesterdaySchedule.length - 1];
-                activeDay = dayNames[yesterdayIndex];
-            }
-        }
+    /**
+     * Get unique identifier for the current schedule slot.
+     * Used to detect when schedule slot changes (to clear override).
+     * A running calendar event counts as a slot of its own.
+     * @returns {string|null} Slot identifier in format "dayName:HH:MM" ("YYYY-MM-DD:HH:MM" on exception days,
+     *          "calendar:uid:start" during calendar events) or null
+     */
+    getCurrentSlotId() {
+        const event = this.operatingMode === 'schedule' ? this.getCalendarEvent() : null;
+        if (event) return `calendar:${event.uid}:${event.start}`;
 
-        if (!activeSlot || !activeSlot.time) return null;
+        const active = this.findActiveSlot();
 
-        return `${activeDay}:${activeSlot.time}`;
+        if (!active || !active.slot.time) return null;
+
+        return `${active.day}:${active.slot.time}`;
     }
 
     /**
@@ -909,14 +2867,25 @@ class AdaptiveController {
             maxTemp: this.maxTemp,
             targetTemp: this.targetTemp,
             baseTargetTemp: this.baseTargetTemp,
+            baseTargetTempLow: this.baseTargetTempLow,
+            baseTargetTempHigh: this.baseTargetTempHigh,
             hysteresis: this.hysteresis,
             learningEnabled: this.learningEnabled,
             mode: this.mode,
+            outputMode: this.outputMode,
 
             // PID parameters
             Kp: this.Kp,
             Ki: this.Ki,
             Kd: this.Kd,
+            Kf: this.Kf,
+            pidHistory: this.pidHistory,
+            gainSets: { ...this.gainSets, [this.getGainSetKey()]: this.getActiveGainSet() },
+            gainMode: this.gainMode,
+            gainBand: this.gainBand,
+            weatherHistory: this.weatherHistory,
+            valveOffset: this.valveOffset,
+            heatUpSamples: this.heatUpSamples,
 
             // State
             integral: this.integral,
@@ -933,12 +2902,38 @@ class AdaptiveController {
             // Schedule, boost, away
             operatingMode: this.operatingMode,
             schedule: this.schedule,
+            scheduleProfiles: this.scheduleProfiles,
+            activeScheduleProfile: this.activeScheduleProfile,
+            calendarSource: this.calendarSource,
             scheduleOverride: this.scheduleOverride,
+            ramp: this.ramp,
+            scheduleTarget: this.scheduleTarget,
             boostActive: this.boostActive,
             boostTemp: this.boostTemp,
             boostEndTime: this.boostEndTime,
+            boostUntilReached: this.boostUntilReached,
+            boostReturnTo: this.boostReturnTo,
             awayMode: this.awayMode,
-            awayTemp: this.awayTemp
+            awayTemp: this.awayTemp,
+            awayStartTime: this.awayStartTime,
+            awayUntil: this.awayUntil,
+            awayWarmUp: this.awayWarmUp,
+            occupants: this.occupants,
+            vacantSince: this.vacantSince,
+            ecoForced: this.ecoForced,
+            ecoSuspended: this.ecoSuspended,
+
+            // Open window
+            windowContact: this.windowContact,
+            windowPauseEndTime: this.windowPauseEndTime,
+
+            // Compressor short-cycle protection
+            compressor: this.compressor ? this.compressor.getState() : null,
+            compressorRunOutput: this.compressorRunOutput,
+
+            // Control quality
+            quality: this.quality.getState(),
+            adaptationStats: this.adaptationStats
         };
     }
 
@@ -952,12 +2947,25 @@ class AdaptiveController {
         if (state.Kp !== undefined) this.Kp = state.Kp;
         if (state.Ki !== undefined) this.Ki = state.Ki;
         if (state.Kd !== undefined) this.Kd = state.Kd;
+        if (state.Kf !== undefined) this.Kf = state.Kf;
+        if (Array.isArray(state.pidHistory)) {
+            this.pidHistory = state.pidHistory;
+        } else {
+            // State from before the tuning history: start it with the restored gains
+            this.pidHistory = [];
+            this.recordPidChange('initial');
+        }
+        if (typeof state.valveOffset === 'number') this.valveOffset = state.valveOffset;
+        if (Array.isArray(state.weatherHistory)) this.weatherHistory = state.weatherHistory;
+        if (Array.isArray(state.heatUpSamples)) this.heatUpSamples = state.heatUpSamples;
 
         // Restore state
         if (state.integral !== undefined) this.integral = state.integral;
         if (state.lastError !== undefined) this.lastError = state.lastError;
         if (state.lastTemp !== undefined) this.lastTemp = state.lastTemp;
-        if (state.lastOutput !== undefined) this.lastOutput = state.lastOutput;
+        // Last output is only meaningful in the same output mode (°C vs %)
+        const sameOutputMode = (state.outputMode || 'setpoint') === this.outputMode;
+        if (state.lastOutput !== undefined && sameOutputMode) this.lastOutput = state.lastOutput;
 
         // Restore learning state
         if (state.learningPhase !== undefined) this.learningPhase = state.learningPhase;
@@ -970,25 +2978,76 @@ class AdaptiveController {
 
         // Restore base target
         if (state.baseTargetTemp !== undefined) this.baseTargetTemp = state.baseTargetTemp;
+        if (state.baseTargetTempLow !== undefined) this.baseTargetTempLow = state.baseTargetTempLow;
+        if (state.baseTargetTempHigh !== undefined) this.baseTargetTempHigh = state.baseTargetTempHigh;
 
         // Restore schedule, boost, away
         if (state.operatingMode !== undefined) this.operatingMode = state.operatingMode;
         if (state.schedule !== undefined) this.schedule = state.schedule;
+        if (state.scheduleProfiles && typeof state.scheduleProfiles === 'object') this.scheduleProfiles = state.scheduleProfiles;
+        if (state.activeScheduleProfile !== undefined) this.activeScheduleProfile = state.activeScheduleProfile;
+        if (typeof state.calendarSource === 'string') this.setCalendar(state.calendarSource);
 
         // Restore schedule override with validation
         if (state.scheduleOverride !== undefined && typeof state.scheduleOverride === 'object') {
             this.scheduleOverride = {
                 active: state.scheduleOverride.active || false,
                 temp: state.scheduleOverride.temp || null,
+                tempLow: state.scheduleOverride.tempLow || null,
+                tempHigh: state.scheduleOverride.tempHigh || null,
                 slotWhenSet: state.scheduleOverride.slotWhenSet || null
             };
         }
 
+        if (state.ramp !== undefined) this.ramp = state.ramp;
+        if (state.scheduleTarget !== undefined) this.scheduleTarget = state.scheduleTarget;
+
         if (state.boostActive !== undefined) this.boostActive = state.boostActive;
         if (state.boostTemp !== undefined) this.boostTemp = state.boostTemp;
         if (state.boostEndTime !== undefined) this.boostEndTime = state.boostEndTime;
+        if (state.boostUntilReached !== undefined) this.boostUntilReached = state.boostUntilReached;
+        if (state.boostReturnTo !== undefined) this.boostReturnTo = state.boostReturnTo;
         if (state.awayMode !== undefined) this.awayMode = state.awayMode;
         if (state.awayTemp !== undefined) this.awayTemp = state.awayTemp;
+        if (state.awayStartTime !== undefined) this.awayStartTime = state.awayStartTime;
+        if (state.awayUntil !== undefined) this.awayUntil = state.awayUntil;
+        if (state.awayWarmUp !== undefined) this.awayWarmUp = state.awayWarmUp;
+        if (state.occupants) this.occupants = state.occupants;
+        if (state.vacantSince !== undefined) this.vacantSince = state.vacantSince;
+        if (state.ecoForced !== undefined) this.ecoForced = state.ecoForced;
+        if (state.ecoSuspended !== undefined) this.ecoSuspended = state.ecoSuspended;
+
+        // Restore open window state
+        if (state.windowContact !== undefined) this.windowContact = state.windowContact;
+        if (state.windowPauseEndTime !== undefined) this.windowPauseEndTime = state.windowPauseEndTime;
+        this.windowOpen = this.windowContact !== null
+            ? this.windowContact
+            : this.windowPauseEndTime !== null && this.now() < this.windowPauseEndTime;
+
+        // Restore compressor protection state
+        if (this.compressor && state.compressor) {
+            this.compressor.setState(state.compressor);
+            if (state.compressorRunOutput !== undefined && sameOutputMode) this.compressorRunOutput = state.compressorRunOutput;
+        }
+
+        // Restore control quality metrics
+        if (state.quality) this.quality.setState(state.quality);
+        if (state.adaptationStats !== undefined) this.adaptationStats = state.adaptationStats;
+
+        // Restore gain sets (state from before gain scheduling: the gains above belong to the current set)
+        if (state.gainSets && typeof state.gainSets === 'object') {
+            this.gainSets = { ...state.gainSets };
+            const band = this.gainBands.length > 0 && typeof state.gainBand === 'number' && state.gainBand <= this.gainBands.length
+                ? state.gainBand
+                : this.gainBand;
+            const key = this.getGainSetKey(state.gainMode || this.gainMode, band);
+            if (this.gainSets[key]) {
+                this.gainMode = state.gainMode || this.gainMode;
+                this.gainBand = band;
+                this.loadGainSet(this.gainSets[key]);
+                delete this.gainSets[key];
+            }
+        }
     }
 
     /**
@@ -1006,6 +3065,7 @@ class AdaptiveController {
 
         if (['heat', 'cool', 'heat_cool'].includes(normalizedMode)) {
             this.mode = normalizedMode;
+            this.deadbandMode = null;
             // Reset integral when switching modes
             this.integral = 0;
         }
@@ -1027,12 +3087,20 @@ class AdaptiveController {
         this.learningStartTime = null;
         this.learningComplete = false;
         this.performanceHistory = [];
+        this.adaptationStats = null;
         this.trendWindow = [];
 
         // Reset PID to defaults
         this.Kp = 1.0;
         this.Ki = 0.01;
         this.Kd = 0.5;
+        this.Kf = this.initialKf;
+        this.gainSets = {};
+        this.recordPidChange('reset');
+        this.weatherHistory = [];
+        this.weatherSamplesSinceLearn = 0;
+        this.valveOffset = this.initialValveOffset;
+        this.valveOffsetSamples = 0;
     }
 
     /**
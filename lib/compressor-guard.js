@@ -0,0 +1,101 @@
+/**
+ * Compressor Short-Cycle Protection for Smart Thermostat
+ *
+ * Keeps compressors (AC units, heat pumps) from switching too often:
+ * a started compressor runs for at least the minimum run time, a stopped
+ * one stays off for the minimum off time, and the number of starts within
+ * the last hour is limited.
+ */
+
+const HOUR = 3600000;
+
+class CompressorGuard {
+    constructor(config = {}) {
+        // Configuration (ms)
+        this.minRunTime = config.minRunTime !== undefined ? config.minRunTime : 300000;
+        this.minOffTime = config.minOffTime !== undefined ? config.minOffTime : 300000;
+        this.maxStartsPerHour = config.maxStartsPerHour !== undefined ? config.maxStartsPerHour : 6; // 0 = unlimited
+
+        // State
+        this.running = false;
+        this.lastStartTime = null;
+        this.lastStopTime = null;
+        this.starts = []; // start timestamps within the last hour
+
+        // Constraint currently holding the output: null, 'minRunTime', 'minOffTime' or 'maxStarts'
+        this.hold = null;
+        this.holdUntil = null;
+    }
+
+    /**
+     * Request compressor on/off
+     * @param {boolean} wantOn - Requested state
+     * @param {number} now - Current timestamp in ms
+     * @param {boolean} force - Stop immediately, ignoring the minimum run time (OFF mode, failsafe)
+     * @returns {boolean} true if running state changed
+     */
+    request(wantOn, now = Date.now(), force = false) {
+        this.starts = this.starts.filter(time => now - time < HOUR);
+        this.hold = null;
+        this.holdUntil = null;
+
+        if (wantOn === this.running) {
+            return false;
+        }
+
+        if (wantOn) {
+            if (this.lastStopTime !== null && now - this.lastStopTime < this.minOffTime) {
+                return this.holdFor('minOffTime', this.lastStopTime + this.minOffTime);
+            }
+            if (this.maxStartsPerHour > 0 && this.starts.length >= this.maxStartsPerHour) {
+                return this.holdFor('maxStarts', this.starts[0] + HOUR);
+            }
+            this.running = true;
+            this.lastStartTime = now;
+            this.starts.push(now);
+            return true;
+        }
+
+        if (!force && this.lastStartTime !== null && now - this.lastStartTime < this.minRunTime) {
+            return this.holdFor('minRunTime', this.lastStartTime + this.minRunTime);
+        }
+        this.running = false;
+        this.lastStopTime = now;
+        return true;
+    }
+
+    /**
+     * Record the constraint holding the current state
+     */
+    holdFor(reason, until) {
+        this.hold = reason;
+        this.holdUntil = until;
+        return false;
+    }
+
+    /**
+     * Get state for persistence
+     */
+    getState() {
+        return {
+            running: this.running,
+            lastStartTime: this.lastStartTime,
+            lastStopTime: this.lastStopTime,
+            starts: this.starts
+        };
+    }
+
+    /**
+     * Restore state (from persistence)
+     */
+    setState(state) {
+        if (!state) return;
+
+        if (typeof state.running === 'boolean') this.running = state.running;
+        if (state.lastStartTime !== undefined) this.lastStartTime = state.lastStartTime;
+        if (state.lastStopTime !== undefined) this.lastStopTime = state.lastStopTime;
+        if (Array.isArray(state.starts)) this.starts = state.starts;
+    }
+}
+
+module.exports = CompressorGuard;
@@ -0,0 +1,261 @@
+/**
+ * Control Quality Metrics for Smart Thermostat
+ *
+ * Measures how well the room follows its target, per setpoint change (step)
+ * and per day (local time): overshoot, rise time, settling time, integral of
+ * absolute error (IAE), oscillations and time within band. A step starts at a
+ * target jump of at least stepThreshold and ends at the next jump or after
+ * maxStepDuration; slow target changes (ramps) don't start steps.
+ *
+ * Oscillations count swings of the room from one side of the band to the other.
+ */
+
+const HOUR = 3600000;
+
+class ControlQuality {
+    constructor(config = {}) {
+        // Configuration
+        this.band = config.band || 0.3; // °C around the target counted as in band / settled
+        this.stepThreshold = config.stepThreshold || 0.5; // °C target jump that starts a step
+        this.maxStepDuration = config.maxStepDuration || 6 * HOUR; // ms
+        this.maxGap = config.maxGap || 900000; // ms, longer gaps between samples are not counted
+        this.maxSteps = config.maxSteps || 20; // completed steps kept
+        this.maxDays = config.maxDays || 14; // days kept
+
+        // State
+        this.last = null; // { time, target, error }
+        this.step = null; // running step
+        this.steps = []; // completed steps, oldest first
+        this.days = {}; // { "YYYY-MM-DD": day accumulator }
+    }
+
+    /**
+     * Record a regulation sample
+     * @param {object} sample - target (°C, used to detect steps), error (°C, target - room;
+     *        0 inside a heat_cool deadband), pid ({ Kp, Ki, Kd } in use)
+     * @param {number} now - Timestamp in ms
+     */
+    record(sample, now = Date.now()) {
+        const error = sample.error;
+        if (typeof error !== 'number' || isNaN(error)) return;
+
+        // The previous sample holds until now (belongs to the step running then)
+        if (this.last && now > this.last.time) {
+            const seconds = Math.min(now - this.last.time, this.maxGap) / 1000;
+            const absError = Math.abs(this.last.error);
+            [this.step, this.getDay(this.last.time)].forEach(acc => {
+                if (!acc) return;
+                acc.time += seconds;
+                acc.iae += absError * seconds;
+                if (absError <= this.band) acc.inBandTime += seconds;
+            });
+        }
+
+        // Target jump starts a new step
+        if (this.last && Math.abs(sample.target - this.last.target) >= this.stepThreshold) {
+            this.finishStep();
+            const direction = Math.abs(error) >= this.band
+                ? Math.sign(error)
+                : Math.sign(sample.target - this.last.target);
+            this.step = {
+                startTime: now,
+                from: this.last.target,
+                target: sample.target,
+                direction, // 1 = room has to rise, -1 = fall
+                pid: sample.pid || null,
+                overshoot: 0,
+                riseTime: null, // s
+                settledTime: null, // time of the last entry into the band
+                side: 0,
+                oscillations: 0,
+                time: 0,
+                iae: 0,
+                inBandTime: 0
+            };
+            this.getDay(now).steps++;
+        } else if (this.step && now - this.step.startTime > this.maxStepDuration) {
+            this.finishStep();
+        } else if (this.step) {
+            this.step.target = sample.target;
+        }
+
+        const day = this.getDay(now);
+        if (this.step) {
+            const step = this.step;
+            // Deviation past the target in the step direction (> 0 = overshoot)
+            const deviation = -step.direction * error;
+            if (step.riseTime === null && deviation >= 0) {
+                step.riseTime = (now - step.startTime) / 1000;
+            }
+            if (step.riseTime !== null) {
+                step.overshoot = Math.max(step.overshoot, deviation);
+                day.overshoot = Math.max(day.overshoot, step.overshoot);
+            }
+            if (Math.abs(error) > this.band) {
+                step.settledTime = null;
+            } else if (step.settledTime === null) {
+                step.settledTime = now;
+            }
+        }
+        [this.step, day].forEach(acc => {
+            if (acc) this.trackSide(acc, error);
+        });
+
+        this.last = { time: now, target: sample.target, error };
+    }
+
+    /**
+     * Count swings from one side of the band to the other
+     */
+    trackSide(acc, error) {
+        const side = error > this.band ? 1 : (error < -this.band ? -1 : 0);
+        if (side === 0) return;
+        if (acc.side !== 0 && side !== acc.side) {
+            acc.oscillations++;
+        }
+        acc.side = side;
+    }
+
+    /**
+     * Close the running step and keep its summary
+     */
+    finishStep() {
+        if (!this.step) return;
+
+        const summary = this.summarizeStep(this.step);
+        this.steps.push(summary);
+        if (this.steps.length > this.maxSteps) {
+            this.steps.shift();
+        }
+
+        // Mean rise and settling times per day of the step start
+        const day = this.getDay(this.step.startTime);
+        if (summary.riseTime !== null) {
+            day.riseSum += summary.riseTime;
+            day.riseCount++;
+        }
+        if (summary.settlingTime !== null) {
+            day.settleSum += summary.settlingTime;
+            day.settleCount++;
+        }
+        this.step = null;
+    }
+
+    /**
+     * Day accumulator of a timestamp (created on first use, old days dropped)
+     */
+    getDay(time) {
+        const key = ControlQuality.dayKey(time);
+        if (!this.days[key]) {
+            this.days[key] = {
+                time: 0, iae: 0, inBandTime: 0, side: 0, oscillations: 0, overshoot: 0,
+                steps: 0, riseSum: 0, riseCount: 0, settleSum: 0, settleCount: 0
+            };
+            const keys = Object.keys(this.days).sort();
+            keys.slice(0, Math.max(0, keys.length - this.maxDays)).forEach(old => delete this.days[old]);
+        }
+        return this.days[key];
+    }
+
+    /**
+     * Step summary
+     * @returns {object} start (ms), from/target (°C), pid, overshoot (°C), riseTime, settlingTime
+     *          and duration (minutes, null if not reached / settled), iae (°C·h), oscillations, timeInBand (%)
+     */
+    summarizeStep(step, active = false) {
+        const round = (value, digits = 1) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+        return {
+            start: step.startTime,
+            from: step.from,
+            target: step.target,
+            pid: step.pid,
+            overshoot: round(step.overshoot, 2),
+            riseTime: step.riseTime !== null ? round(step.riseTime / 60) : null,
+            settlingTime: step.settledTime !== null ? round((step.settledTime - step.startTime) / 60000) : null,
+            iae: round(step.iae / 3600, 2),
+            oscillations: step.oscillations,
+            timeInBand: step.time > 0 ? round(step.inBandTime / step.time * 100) : null,
+            duration: round(step.time / 60),
+            active
+        };
+    }
+
+    /**
+     * Day summary
+     * @returns {object} iae (°C·h), meanAbsError (°C), timeInBand (%), oscillations, overshoot (°C, max),
+     *          steps, riseTime and settlingTime (mean minutes of completed steps)
+     */
+    summarizeDay(key) {
+        const day = this.days[key];
+        if (!day) return null;
+
+        const round = (value, digits = 1) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+        return {
+            date: key,
+            iae: round(day.iae / 3600, 2),
+            meanAbsError: day.time > 0 ? round(day.iae / day.time, 2) : null,
+            timeInBand: day.time > 0 ? round(day.inBandTime / day.time * 100) : null,
+            oscillations: day.oscillations,
+            overshoot: round(day.overshoot, 2),
+            steps: day.steps,
+            riseTime: day.riseCount > 0 ? round(day.riseSum / day.riseCount) : null,
+            settlingTime: day.settleCount > 0 ? round(day.settleSum / day.settleCount) : null
+        };
+    }
+
+    /**
+     * Current metrics for the debug output
+     * @returns {object} { step: running or last completed step, today }
+     */
+    getSummary(now = Date.now()) {
+        const step = this.step
+            ? this.summarizeStep(this.step, true)
+            : (this.steps.length > 0 ? this.steps[this.steps.length - 1] : null);
+        return { step, today: this.summarizeDay(ControlQuality.dayKey(now)) };
+    }
+
+    /**
+     * Completed steps and days kept (oldest first)
+     */
+    getHistory() {
+        return {
+            steps: this.steps,
+            days: Object.keys(this.days).sort().map(key => this.summarizeDay(key))
+        };
+    }
+
+    /**
+     * Get state for persistence
+     */
+    getState() {
+        return {
+            last: this.last,
+            step: this.step,
+            steps: this.steps,
+            days: this.days
+        };
+    }
+
+    /**
+     * Restore state (from persistence)
+     */
+    setState(state) {
+        if (!state) return;
+
+        if (state.last !== undefined) this.last = state.last;
+        if (state.step !== undefined) this.step = state.step;
+        if (Array.isArray(state.steps)) this.steps = state.steps;
+        if (state.days && typeof state.days === 'object') this.days = state.days;
+    }
+
+    /**
+     * Local calendar date "YYYY-MM-DD" of a timestamp
+     */
+    static dayKey(time) {
+        const date = new Date(time);
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+}
+
+module.exports = ControlQuality;
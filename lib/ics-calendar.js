@@ -0,0 +1,456 @@
+/**
+ * iCalendar (ICS) Schedule for Smart Thermostat
+ *
+ * Parses VEVENTs of an ICS document (RFC 5545), including recurring events
+ * (RRULE), excluded dates (EXDATE) and moved instances (RECURRENCE-ID), and
+ * finds the event running at a given time. Event summaries are mapped to
+ * temperatures through keywords, e.g. "Away" -> away temperature, "Guests" -> 22°C.
+ *
+ * Times are handled as wall clock (ms since epoch as if UTC) in the event's
+ * timezone and converted to timestamps only around the queried time.
+ */
+
+const DAY = 86400000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_PERIODS = 100000; // safety limit for recurrence expansion
+
+const formatters = {};
+
+/**
+ * Offset of a timezone at a timestamp (ms, wall clock - UTC)
+ */
+function zoneOffset(time, timezone) {
+    if (!formatters[timezone]) {
+        formatters[timezone] = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hour12: false,
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        });
+    }
+
+    const fields = {};
+    formatters[timezone].formatToParts(new Date(time)).forEach(part => {
+        fields[part.type] = parseInt(part.value, 10);
+    });
+    const wall = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour % 24, fields.minute, fields.second);
+    return wall - (time - time % 1000);
+}
+
+/**
+ * Convert wall clock time in a timezone ('UTC', 'local' or IANA name) to a timestamp
+ */
+function wallToTime(wall, timezone) {
+    if (timezone === 'UTC') {
+        return wall;
+    }
+
+    if (timezone && timezone !== 'local') {
+        try {
+            const time = wall - zoneOffset(wall, timezone);
+            return wall - zoneOffset(time, timezone);
+        } catch (e) {
+            // Unknown timezone name - treat as local time
+        }
+    }
+
+    const date = new Date(wall);
+    return new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(),
+        date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()).getTime();
+}
+
+/**
+ * Convert a timestamp to wall clock time in a timezone
+ */
+function timeToWall(time, timezone) {
+    if (timezone === 'UTC') {
+        return time;
+    }
+
+    if (timezone && timezone !== 'local') {
+        try {
+            return time + zoneOffset(time, timezone);
+        } catch (e) {
+            // Unknown timezone name - treat as local time
+        }
+    }
+
+    return time - new Date(time).getTimezoneOffset() * 60000;
+}
+
+/**
+ * Parse DATE or DATE-TIME value ("20261224", "20261224T080000", "20261224T080000Z")
+ * @returns {object|null} { wall, timezone, allDay } - timezone null for floating times
+ */
+function parseDateValue(value, params) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(String(value).trim());
+    if (!match) {
+        return null;
+    }
+
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+    const allDay = hours === undefined;
+    return {
+        wall: Date.UTC(+year, +month - 1, +day, allDay ? 0 : +hours, allDay ? 0 : +minutes, +(seconds || 0)),
+        timezone: utc ? 'UTC' : (params.TZID || null),
+        allDay
+    };
+}
+
+/**
+ * Parse DURATION value ("PT1H30M", "P1D", "P2W")
+ * @returns {number|null} ms
+ */
+function parseDuration(value) {
+    const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value).trim());
+    if (!match) {
+        return null;
+    }
+
+    const [, sign, weeks, days, hours, minutes, seconds] = match;
+    const duration = ((+weeks || 0) * 7 + (+days || 0)) * DAY +
+        ((+hours || 0) * 3600 + (+minutes || 0) * 60 + (+seconds || 0)) * 1000;
+    return sign === '-' ? -duration : duration;
+}
+
+/**
+ * Parse RRULE value ("FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20261231T000000Z")
+ */
+function parseRule(value) {
+    const parts = {};
+    String(value).split(';').forEach(part => {
+        const separator = part.indexOf('=');
+        if (separator > 0) {
+            parts[part.slice(0, separator).toUpperCase()] = part.slice(separator + 1);
+        }
+    });
+
+    if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(parts.FREQ)) {
+        return null;
+    }
+
+    const list = key => parts[key] ? parts[key].split(',').map(item => item.trim()).filter(Boolean) : [];
+    return {
+        freq: parts.FREQ,
+        interval: Math.max(1, parseInt(parts.INTERVAL, 10) || 1),
+        count: parts.COUNT ? parseInt(parts.COUNT, 10) : null,
+        until: parts.UNTIL ? parseDateValue(parts.UNTIL, {}) : null,
+        byDay: list('BYDAY').map(day => {
+            const match = /^([+-]?\d+)?([A-Z]{2})$/.exec(day.toUpperCase());
+            return match ? { ordinal: match[1] ? parseInt(match[1], 10) : null, weekday: WEEKDAYS.indexOf(match[2]) } : null;
+        }).filter(day => day && day.weekday >= 0),
+        byMonthDay: list('BYMONTHDAY').map(Number).filter(day => day && !isNaN(day)),
+        byMonth: list('BYMONTH').map(Number).filter(month => month >= 1 && month <= 12),
+        weekStart: parts.WKST && WEEKDAYS.includes(parts.WKST) ? WEEKDAYS.indexOf(parts.WKST) : 1
+    };
+}
+
+/**
+ * Unescape TEXT value
+ */
+function unescapeText(value) {
+    return String(value).replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Days (wall clock midnight) of a month matching BYMONTHDAY / BYDAY, or the given default day
+ */
+function monthDays(year, month, rule, defaultDay) {
+    const first = Date.UTC(year, month, 1);
+    const length = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    const days = [];
+
+    if (rule.byMonthDay.length > 0) {
+        rule.byMonthDay.forEach(day => days.push(day > 0 ? day : length + day + 1));
+    } else if (rule.byDay.length > 0) {
+        rule.byDay.forEach(({ ordinal, weekday }) => {
+            const matching = [];
+            for (let day = 1; day <= length; day++) {
+                if (new Date(Date.UTC(year, month, day)).getUTCDay() === weekday) {
+                    matching.push(day);
+                }
+            }
+            if (ordinal === null) {
+                days.push(...matching);
+            } else {
+                days.push(ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal]);
+            }
+        });
+    } else {
+        days.push(defaultDay);
+    }
+
+    return [...new Set(days)]
+        .filter(day => day >= 1 && day <= length)
+        .sort((a, b) => a - b)
+        .map(day => first + (day - 1) * DAY);
+}
+
+class IcsCalendar {
+    constructor(config = {}) {
+        // Configuration
+        this.keywords = config.keywords || []; // [{ keyword, temp }] - temp is °C or 'away'
+
+        // State
+        this.events = [];
+        this.cache = null; // { minute, timezone, event }
+    }
+
+    /**
+     * Parse an ICS document (replaces previously loaded events)
+     * @param {string} text - ICS content
+     * @returns {number} number of events
+     */
+    load(text) {
+        const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+        const events = [];
+        let current = null;
+
+        for (const line of lines) {
+            if (line === 'BEGIN:VEVENT') {
+                current = { exdates: [] };
+                continue;
+            }
+            if (line === 'END:VEVENT') {
+                if (current) events.push(current);
+                current = null;
+                continue;
+            }
+            if (!current) continue;
+
+            // NAME;PARAM=value;PARAM="quoted:value":VALUE
+            const match = /^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^";:]*))*):(.*)$/.exec(line);
+            if (!match) continue;
+
+            const name = match[1].toUpperCase();
+            const params = {};
+            match[2].replace(/;([A-Za-z0-9-]+)=("[^"]*"|[^";:]*)/g, (all, key, value) => {
+                params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+            });
+            const value = match[3];
+
+            switch (name) {
+                case 'UID': current.uid = value; break;
+                case 'SUMMARY': current.summary = unescapeText(value); break;
+                case 'STATUS': current.status = value.toUpperCase(); break;
+                case 'DTSTART': current.start = parseDateValue(value, params); break;
+                case 'DTEND': current.end = parseDateValue(value, params); break;
+                case 'DURATION': current.duration = parseDuration(value); break;
+                case 'RRULE': current.rule = parseRule(value); break;
+                case 'RECURRENCE-ID': current.recurrenceId = parseDateValue(value, params); break;
+                case 'EXDATE':
+                    value.split(',').forEach(date => {
+                        const exdate = parseDateValue(date, params);
+                        if (exdate) current.exdates.push(exdate);
+                    });
+                    break;
+            }
+        }
+
+        this.events = events
+            .filter(event => event.start && event.status !== 'CANCELLED')
+            .map(event => this.prepareEvent(event));
+
+        // Moved instances replace their occurrence of the recurring event
+        this.events.filter(event => event.recurrenceId).forEach(instance => {
+            const master = this.events.find(event => event.rule && event.uid === instance.uid && !event.recurrenceId);
+            if (master) master.exdates.push(instance.recurrenceId);
+        });
+
+        this.cache = null;
+        return this.events.length;
+    }
+
+    /**
+     * Resolve event duration as wall clock difference (all-day events default to one day)
+     */
+    prepareEvent(event) {
+        let duration = 0;
+        if (event.end) {
+            duration = event.end.wall - event.start.wall;
+        } else if (event.duration !== null && event.duration !== undefined) {
+            duration = event.duration;
+        } else if (event.start.allDay) {
+            duration = DAY;
+        }
+
+        return {
+            uid: event.uid || `${event.summary}@${event.start.wall}`,
+            summary: event.summary || '',
+            start: event.start,
+            duration: Math.max(0, duration),
+            rule: event.rule || null,
+            exdates: event.exdates,
+            recurrenceId: event.recurrenceId || null
+        };
+    }
+
+    /**
+     * Find the keyword matching an event summary (case-insensitive, first configured keyword wins)
+     */
+    matchKeyword(summary) {
+        const text = String(summary).toLowerCase();
+        return this.keywords.find(entry => entry.keyword && text.includes(entry.keyword.toLowerCase())) || null;
+    }
+
+    /**
+     * Find the event with a keyword running at a time. If several overlap, the latest started wins.
+     * @param {number} now - Timestamp in ms
+     * @param {string} timezone - Timezone of floating (and all-day) times: 'local', 'UTC' or IANA name
+     * @returns {object|null} { uid, summary, keyword, temp, start, end } - start/end are timestamps
+     */
+    getEventAt(now = Date.now(), timezone = 'local') {
+        const minute = Math.floor(now / 60000);
+        if (this.cache && this.cache.minute === minute && this.cache.timezone === timezone) {
+            return this.cache.event;
+        }
+
+        let active = null;
+        for (const event of this.events) {
+            const entry = this.matchKeyword(event.summary);
+            if (!entry) continue;
+
+            const occurrence = this.findOccurrence(event, now, timezone);
+            if (occurrence && (!active || occurrence.start > active.start)) {
+                active = {
+                    uid: event.uid,
+                    summary: event.summary,
+                    keyword: entry.keyword,
+                    temp: entry.temp,
+                    start: occurrence.start,
+                    end: occurrence.end
+                };
+            }
+        }
+
+        this.cache = { minute, timezone, event: active };
+        return active;
+    }
+
+    /**
+     * Find the occurrence of an event covering a time
+     * @returns {object|null} { start, end } timestamps
+     */
+    findOccurrence(event, now, defaultTimezone) {
+        const timezone = event.start.timezone || defaultTimezone;
+        const toTime = wall => wallToTime(wall, timezone);
+
+        // Wall clock differs from UTC by at most 14 hours - only convert nearby occurrences
+        const covers = wall => {
+            if (wall + event.duration < now - DAY || wall > now + DAY) return null;
+            const start = toTime(wall);
+            const end = toTime(wall + event.duration);
+            return start <= now && now < end ? { start, end } : null;
+        };
+
+        if (!event.rule) {
+            return covers(event.start.wall);
+        }
+
+        const excluded = event.exdates.map(exdate => this.toEventWall(exdate, timezone));
+        const isExcluded = wall => excluded.some(exdate => exdate.allDay
+            ? Math.floor(wall / DAY) === Math.floor(exdate.wall / DAY)
+            : exdate.wall === wall);
+        const until = event.rule.until ? this.toEventWall(event.rule.until, timezone) : null;
+
+        let count = 0;
+        for (const wall of this.expand(event)) {
+            if (event.rule.count !== null && count >= event.rule.count) break;
+            if (until && (until.allDay ? Math.floor(wall / DAY) > Math.floor(until.wall / DAY) : wall > until.wall)) break;
+            if (wall > now + DAY) break;
+            count++;
+
+            if (isExcluded(wall)) continue;
+            const occurrence = covers(wall);
+            if (occurrence) return occurrence;
+        }
+
+        return null;
+    }
+
+    /**
+     * Express a date of an event property (EXDATE, UNTIL) in the event's wall clock
+     */
+    toEventWall(date, timezone) {
+        if (date.allDay || !date.timezone || date.timezone === timezone) {
+            return date;
+        }
+        return { wall: timeToWall(wallToTime(date.wall, date.timezone), timezone), allDay: false };
+    }
+
+    /**
+     * Generate occurrence start times (wall clock, ascending) of a recurring event
+     */
+    *expand(event) {
+        const rule = event.rule;
+        const first = event.start.wall;
+        const timeOfDay = ((first % DAY) + DAY) % DAY;
+        const firstDay = first - timeOfDay;
+        const firstDate = new Date(firstDay);
+        const year = firstDate.getUTCFullYear();
+        const month = firstDate.getUTCMonth();
+        const matchesFilters = day => {
+            const date = new Date(day);
+            if (rule.byMonth.length > 0 && !rule.byMonth.includes(date.getUTCMonth() + 1)) return false;
+            if (rule.freq === 'DAILY' && rule.byDay.length > 0 && !rule.byDay.some(entry => entry.weekday === date.getUTCDay())) return false;
+            return true;
+        };
+
+        // DTSTART is always the first occurrence
+        yield first;
+
+        for (let period = 0; period < MAX_PERIODS; period++) {
+            let days = [];
+            const step = period * rule.interval;
+
+            if (rule.freq === 'DAILY') {
+                days = [firstDay + step * DAY];
+            } else if (rule.freq === 'WEEKLY') {
+                const weekStart = firstDay - ((firstDate.getUTCDay() - rule.weekStart + 7) % 7) * DAY + step * 7 * DAY;
+                const weekdays = rule.byDay.length > 0 ? rule.byDay.map(entry => entry.weekday) : [firstDate.getUTCDay()];
+                days = [...new Set(weekdays)]
+                    .map(weekday => weekStart + ((weekday - rule.weekStart + 7) % 7) * DAY)
+                    .sort((a, b) => a - b);
+            } else if (rule.freq === 'MONTHLY') {
+                days = monthDays(year, month + step, rule, firstDate.getUTCDate());
+            } else {
+                const months = rule.byMonth.length > 0 ? rule.byMonth.map(m => m - 1) : [month];
+                months.sort((a, b) => a - b).forEach(m => {
+                    days.push(...monthDays(year + step, m, rule, firstDate.getUTCDate()));
+                });
+            }
+
+            for (const day of days) {
+                const wall = day + timeOfDay;
+                if (wall > first && matchesFilters(day)) {
+                    yield wall;
+                }
+            }
+        }
+    }
+
+    /**
+     * Parse summary keywords from editor text, e.g. "Away=away, Guests=22"
+     * @returns {Array} [{ keyword, temp }] - temp is a number or 'away'
+     */
+    static parseKeywords(text) {
+        const keywords = [];
+        String(text || '').split(',').forEach(entry => {
+            const separator = entry.lastIndexOf('=');
+            if (separator <= 0) return;
+            const keyword = entry.slice(0, separator).trim();
+            const value = entry.slice(separator + 1).trim().toLowerCase();
+            const temp = value === 'away' ? 'away' : parseFloat(value);
+            if (keyword && (temp === 'away' || !isNaN(temp))) {
+                keywords.push({ keyword, temp });
+            }
+        });
+        return keywords;
+    }
+}
+
+module.exports = IcsCalendar;
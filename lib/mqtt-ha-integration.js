@@ -2,7 +2,9 @@
  * MQTT Home Assistant Integration
  *
  * Provides MQTT Discovery for Home Assistant climate entities.
- * Creates a climate device in HA with temperature control, presets (away, boost), and mode switching.
+ * Creates a climate device in HA with temperature control, presets (away, boost, eco), and mode switching.
+ * Additional entities (e.g. sensor fault binary sensor, schedule profile select, runtime statistics sensors)
+ * are attached to the same device.
  */
 
 class MqttHaIntegration {
@@ -20,6 +22,8 @@ class MqttHaIntegration {
         this.maxTemp = config.maxTemp || 25;
         this.precision = config.precision || 0.5;
         this.modes = config.modes || ['off', 'heat'];
+        this.scheduleProfiles = config.scheduleProfiles || []; // profile names for the select entity
+        this.stats = config.stats || null; // { energy, valve } - runtime statistics sensors, null = none
 
         // MQTT client reference
         this.mqttClient = null;
@@ -52,7 +56,7 @@ class MqttHaIntegration {
             modes.push('heat_cool');
         }
 
-        return {
+        const payload = {
             name: this.deviceName,
             unique_id: this.uniqueId,
 
@@ -69,8 +73,8 @@ class MqttHaIntegration {
             // Action (what the thermostat is currently doing)
             action_topic: `${this.topicPrefix}/action`,
 
-            // Presets (away, boost) - 'none' is implicit, must not be listed
-            preset_modes: ['away', 'boost'],
+            // Presets (away, boost, eco, window_open) - 'none' is implicit, must not be listed
+            preset_modes: ['away', 'boost', 'eco', 'window_open'],
             preset_mode_command_topic: `${this.topicPrefix}/preset/set`,
             preset_mode_state_topic: `${this.topicPrefix}/preset/state`,
 
@@ -83,21 +87,194 @@ class MqttHaIntegration {
             temperature_unit: 'C',
 
             // Device info
-            device: {
-                identifiers: [this.uniqueId],
-                name: this.deviceName,
-                model: 'Adaptive PID Controller',
-                manufacturer: 'node-red-contrib-smart-thermostat',
-                sw_version: '2.0.0'
-            },
+            device: this.getDeviceInfo(),
 
             // Availability
+            ...this.getAvailabilityConfig()
+        };
+
+        // Low/high setpoints (target_temp_low / target_temp_high) for heat_cool deadband
+        if (this.modes.includes('heat_cool')) {
+            payload.temperature_low_command_topic = `${this.topicPrefix}/target_temp_low/set`;
+            payload.temperature_low_state_topic = `${this.topicPrefix}/target_temp_low/state`;
+            payload.temperature_high_command_topic = `${this.topicPrefix}/target_temp_high/set`;
+            payload.temperature_high_state_topic = `${this.topicPrefix}/target_temp_high/state`;
+        }
+
+        return payload;
+    }
+
+    /**
+     * Get device info shared by all entities of this thermostat
+     */
+    getDeviceInfo() {
+        return {
+            identifiers: [this.uniqueId],
+            name: this.deviceName,
+            model: 'Adaptive PID Controller',
+            manufacturer: 'node-red-contrib-smart-thermostat',
+            sw_version: '2.0.0'
+        };
+    }
+
+    /**
+     * Get availability config shared by all entities of this thermostat
+     */
+    getAvailabilityConfig() {
+        return {
             availability_topic: `${this.topicPrefix}/availability`,
             payload_available: 'online',
             payload_not_available: 'offline'
         };
     }
 
+    /**
+     * Get MQTT discovery topic for an additional entity
+     * @param {string} component - HA component (binary_sensor, sensor, select, ...)
+     * @param {string} objectId - Entity suffix (e.g. 'sensor_fault')
+     */
+    getEntityDiscoveryTopic(component, objectId) {
+        return `${this.baseTopic}/${component}/${this.uniqueId}_${objectId}/config`;
+    }
+
+    /**
+     * Get additional entities published next to the climate entity
+     * @returns {Array} [{ component, objectId, payload }]
+     */
+    getEntityConfigs() {
+        const entities = [
+            {
+                component: 'binary_sensor',
+                objectId: 'sensor_fault',
+                payload: {
+                    name: `${this.deviceName} Sensor Fault`,
+                    unique_id: `${this.uniqueId}_sensor_fault`,
+                    state_topic: `${this.topicPrefix}/sensor_fault`,
+                    device_class: 'problem',
+                    entity_category: 'diagnostic',
+                    payload_on: 'ON',
+                    payload_off: 'OFF',
+                    device: this.getDeviceInfo(),
+                    ...this.getAvailabilityConfig()
+                }
+            },
+            {
+                component: 'binary_sensor',
+                objectId: 'window_open',
+                payload: {
+                    name: `${this.deviceName} Window Open`,
+                    unique_id: `${this.uniqueId}_window_open`,
+                    state_topic: `${this.topicPrefix}/window_open`,
+                    device_class: 'window',
+                    payload_on: 'ON',
+                    payload_off: 'OFF',
+                    device: this.getDeviceInfo(),
+                    ...this.getAvailabilityConfig()
+                }
+            },
+            {
+                component: 'binary_sensor',
+                objectId: 'frost_protection',
+                payload: {
+                    name: `${this.deviceName} Frost Protection`,
+                    unique_id: `${this.uniqueId}_frost_protection`,
+                    state_topic: `${this.topicPrefix}/frost_protection`,
+                    device_class: 'cold',
+                    payload_on: 'ON',
+                    payload_off: 'OFF',
+                    device: this.getDeviceInfo(),
+                    ...this.getAvailabilityConfig()
+                }
+            }
+        ];
+
+        // Runtime statistics of today (one JSON state topic)
+        if (this.stats) {
+            const statsSensor = (objectId, name, field, extra) => ({
+                component: 'sensor',
+                objectId,
+                payload: {
+                    name: `${this.deviceName} ${name}`,
+                    unique_id: `${this.uniqueId}_${objectId}`,
+                    state_topic: `${this.topicPrefix}/stats`,
+                    value_template: `{{ value_json.${field} }}`,
+                    ...extra,
+                    device: this.getDeviceInfo(),
+                    ...this.getAvailabilityConfig()
+                }
+            });
+
+            entities.push(
+                statsSensor('runtime_today', 'Runtime Today', 'activeTime',
+                    { unit_of_measurement: 'min', device_class: 'duration', state_class: 'total_increasing', icon: 'mdi:fire' }),
+                statsSensor('mean_error_today', 'Mean Error Today', 'meanError',
+                    { unit_of_measurement: '°C', state_class: 'measurement', entity_category: 'diagnostic' }),
+                this.stats.valve
+                    ? statsSensor('mean_valve_today', 'Mean Valve Today', 'meanValve',
+                        { unit_of_measurement: '%', state_class: 'measurement', icon: 'mdi:valve' })
+                    : statsSensor('mean_offset_today', 'Mean Setpoint Offset Today', 'meanOffset',
+                        { unit_of_measurement: '°C', state_class: 'measurement', entity_category: 'diagnostic' }),
+                statsSensor('degree_days_today', 'Degree Days Today', 'degreeDays',
+                    { unit_of_measurement: '°C·d', state_class: 'total_increasing', icon: 'mdi:thermometer-chevron-down' })
+            );
+            if (this.stats.energy) {
+                entities.push(statsSensor('energy_today', 'Energy Today', 'energy',
+                    { unit_of_measurement: 'kWh', device_class: 'energy', state_class: 'total_increasing' }));
+            }
+        }
+
+        // Control quality of the last setpoint change and of today (one JSON state topic)
+        const qualitySensor = (objectId, name, field, extra) => ({
+            component: 'sensor',
+            objectId,
+            payload: {
+                name: `${this.deviceName} ${name}`,
+                unique_id: `${this.uniqueId}_${objectId}`,
+                state_topic: `${this.topicPrefix}/quality`,
+                value_template: `{{ value_json.${field} }}`,
+                entity_category: 'diagnostic',
+                ...extra,
+                device: this.getDeviceInfo(),
+                ...this.getAvailabilityConfig()
+            }
+        });
+
+        entities.push(
+            qualitySensor('overshoot', 'Overshoot', 'overshoot',
+                { unit_of_measurement: '°C', state_class: 'measurement', icon: 'mdi:chart-bell-curve' }),
+            qualitySensor('rise_time', 'Rise Time', 'riseTime',
+                { unit_of_measurement: 'min', device_class: 'duration', state_class: 'measurement' }),
+            qualitySensor('settling_time', 'Settling Time', 'settlingTime',
+                { unit_of_measurement: 'min', device_class: 'duration', state_class: 'measurement' }),
+            qualitySensor('iae_today', 'IAE Today', 'iae',
+                { unit_of_measurement: '°C·h', state_class: 'total_increasing', icon: 'mdi:sigma' }),
+            qualitySensor('oscillations_today', 'Oscillations Today', 'oscillations',
+                { state_class: 'total_increasing', icon: 'mdi:sine-wave' }),
+            qualitySensor('time_in_band_today', 'Time In Band Today', 'timeInBand',
+                { unit_of_measurement: '%', state_class: 'measurement', icon: 'mdi:target' })
+        );
+
+        // Schedule profile select (only when profiles are defined - HA requires options)
+        if (this.scheduleProfiles.length > 0) {
+            entities.push({
+                component: 'select',
+                objectId: 'schedule_profile',
+                payload: {
+                    name: `${this.deviceName} Schedule Profile`,
+                    unique_id: `${this.uniqueId}_schedule_profile`,
+                    command_topic: `${this.topicPrefix}/schedule_profile/set`,
+                    state_topic: `${this.topicPrefix}/schedule_profile/state`,
+                    options: this.scheduleProfiles,
+                    icon: 'mdi:calendar-clock',
+                    device: this.getDeviceInfo(),
+                    ...this.getAvailabilityConfig()
+                }
+            });
+        }
+
+        return entities;
+    }
+
     /**
      * Get command topics to subscribe
      */
@@ -105,7 +282,10 @@ class MqttHaIntegration {
         return [
             `${this.topicPrefix}/mode/set`,
             `${this.topicPrefix}/temperature/set`,
-            `${this.topicPrefix}/preset/set`
+            `${this.topicPrefix}/target_temp_low/set`,
+            `${this.topicPrefix}/target_temp_high/set`,
+            `${this.topicPrefix}/preset/set`,
+            `${this.topicPrefix}/schedule_profile/set`
         ];
     }
 
@@ -124,6 +304,20 @@ class MqttHaIntegration {
 
         mqttClient.publish(discoveryTopic, discoveryPayload, { retain: true });
 
+        // Additional entities (attached to the same device)
+        this.getEntityConfigs().forEach(entity => {
+            mqttClient.publish(
+                this.getEntityDiscoveryTopic(entity.component, entity.objectId),
+                JSON.stringify(entity.payload),
+                { retain: true }
+            );
+        });
+
+        // Remove the profile select when no profiles are left
+        if (this.scheduleProfiles.length === 0) {
+            mqttClient.publish(this.getEntityDiscoveryTopic('select', 'schedule_profile'), '', { retain: true });
+        }
+
         // Publish availability
         mqttClient.publish(`${this.topicPrefix}/availability`, 'online', { retain: true });
 
@@ -180,18 +374,46 @@ class MqttHaIntegration {
             if (!isNaN(temp)) {
                 command.setpoint = temp;
             }
+        } else if (topic.endsWith('/target_temp_low/set')) {
+            // Low setpoint command (heat_cool)
+            const temp = parseFloat(payload);
+            if (!isNaN(temp)) {
+                command.setpointLow = temp;
+            }
+        } else if (topic.endsWith('/target_temp_high/set')) {
+            // High setpoint command (heat_cool)
+            const temp = parseFloat(payload);
+            if (!isNaN(temp)) {
+                command.setpointHigh = temp;
+            }
+        } else if (topic.endsWith('/schedule_profile/set')) {
+            // Schedule profile command: profile name
+            if (payload) {
+                command.scheduleProfile = payload;
+            }
         } else if (topic.endsWith('/preset/set')) {
-            // Preset command: none, away, boost
+            // Preset command: none, away, boost, eco, window_open
             const preset = payload.toLowerCase();
             if (preset === 'none') {
                 command.away = false;
                 command.boost = false;
+                // Also ends the presence setback until someone arrives
+                command.eco = false;
+                // Only ends an open window set by the window_open preset (not a contact sensor or detection)
+                command.windowPreset = false;
+            } else if (preset === 'window_open') {
+                command.window = true;
             } else if (preset === 'away') {
                 command.away = true;
                 command.boost = false;
             } else if (preset === 'boost') {
-                // Default boost: +3°C for 60 minutes
-                command.boost = { temp: null, duration: 60, relative: 3 };
+                // Default boost (Boost Preset in the node settings)
+                command.boost = true;
+                command.away = false;
+            } else if (preset === 'eco') {
+                // Eco setback until someone arrives
+                command.eco = true;
+                command.boost = false;
                 command.away = false;
             }
         }
@@ -224,6 +446,14 @@ class MqttHaIntegration {
             mqttClient.publish(`${this.topicPrefix}/temperature/state`, String(targetTemp), { retain: true });
         }
 
+        // Low/high setpoints (heat_cool deadband)
+        if (debug.targetTempLow !== null && debug.targetTempLow !== undefined) {
+            mqttClient.publish(`${this.topicPrefix}/target_temp_low/state`, String(debug.targetTempLow), { retain: true });
+        }
+        if (debug.targetTempHigh !== null && debug.targetTempHigh !== undefined) {
+            mqttClient.publish(`${this.topicPrefix}/target_temp_high/state`, String(debug.targetTempHigh), { retain: true });
+        }
+
         // Current temperature
         if (debug.currentTemp !== undefined) {
             mqttClient.publish(`${this.topicPrefix}/current_temp`, String(debug.currentTemp), { retain: true });
@@ -231,7 +461,10 @@ class MqttHaIntegration {
 
         // Action state (what it's doing now)
         let action = 'idle';
-        if (debug.operatingMode === 'off') {
+        if (debug.frostProtectionActive) {
+            // Frost protection heats even in off mode
+            action = 'heating';
+        } else if (debug.operatingMode === 'off') {
             action = 'off';
         } else if (debug.trend === 'heating' || (debug.activeMode === 'heat' && Math.abs(debug.error || 0) >= 0.2)) {
             action = 'heating';
@@ -242,13 +475,58 @@ class MqttHaIntegration {
 
         // Preset state
         let preset = 'none';
-        if (debug.boostActive) {
+        if (debug.windowOpen) {
+            preset = 'window_open';
+        } else if (debug.boostActive) {
             preset = 'boost';
         } else if (debug.awayMode) {
             preset = 'away';
+        } else if (debug.ecoActive) {
+            preset = 'eco';
         }
         mqttClient.publish(`${this.topicPrefix}/preset/state`, preset, { retain: true });
 
+        // Sensor fault (problem binary sensor)
+        mqttClient.publish(`${this.topicPrefix}/sensor_fault`, debug.sensorFault ? 'ON' : 'OFF', { retain: true });
+
+        // Open window
+        mqttClient.publish(`${this.topicPrefix}/window_open`, debug.windowOpen ? 'ON' : 'OFF', { retain: true });
+
+        // Frost protection
+        mqttClient.publish(`${this.topicPrefix}/frost_protection`, debug.frostProtectionActive ? 'ON' : 'OFF', { retain: true });
+
+        // Control quality: last setpoint change and today
+        if (debug.quality) {
+            const step = debug.quality.step || {};
+            const today = debug.quality.today || {};
+            mqttClient.publish(`${this.topicPrefix}/quality`, JSON.stringify({
+                overshoot: step.overshoot !== undefined ? step.overshoot : null,
+                riseTime: step.riseTime !== undefined ? step.riseTime : null,
+                settlingTime: step.settlingTime !== undefined ? step.settlingTime : null,
+                iae: today.iae !== undefined ? today.iae : null,
+                oscillations: today.oscillations !== undefined ? today.oscillations : null,
+                timeInBand: today.timeInBand !== undefined ? today.timeInBand : null
+            }), { retain: true });
+        }
+
+        // Active schedule profile (not published for a schedule sent without profile)
+        if (debug.scheduleProfile) {
+            mqttClient.publish(`${this.topicPrefix}/schedule_profile/state`, debug.scheduleProfile, { retain: true });
+        }
+
+        return true;
+    }
+
+    /**
+     * Publish today's runtime statistics (state of the statistics sensors)
+     * @param {object} today - RuntimeStats#getToday() summary
+     */
+    publishStats(mqttClient, today) {
+        if (!mqttClient || !mqttClient.connected || !this.stats) {
+            return false;
+        }
+
+        mqttClient.publish(`${this.topicPrefix}/stats`, JSON.stringify(today), { retain: true });
         return true;
     }
 
@@ -266,6 +544,9 @@ class MqttHaIntegration {
         // Optionally remove discovery config
         if (removeDiscovery) {
             mqttClient.publish(this.getDiscoveryTopic(), '', { retain: true });
+            this.getEntityConfigs().forEach(entity => {
+                mqttClient.publish(this.getEntityDiscoveryTopic(entity.component, entity.objectId), '', { retain: true });
+            });
         }
 
         return true;
@@ -280,6 +561,7 @@ class MqttHaIntegration {
         if (config.maxTemp) this.maxTemp = config.maxTemp;
         if (config.precision) this.precision = config.precision;
         if (config.modes) this.modes = config.modes;
+        if (Array.isArray(config.scheduleProfiles)) this.scheduleProfiles = config.scheduleProfiles;
     }
 }
 
@@ -0,0 +1,176 @@
+/**
+ * Relay-Feedback Autotune (Åström–Hägglund) for Smart Thermostat
+ *
+ * Switches the output between full and no heating (or cooling) around the
+ * setpoint, which makes the room temperature oscillate in a limit cycle.
+ * From the oscillation amplitude and period the ultimate gain Ku and the
+ * ultimate period Pu are measured and converted into PID gains.
+ */
+
+class RelayAutotune {
+    constructor(config = {}) {
+        // Configuration
+        this.setpoint = config.setpoint; // °C
+        this.direction = config.direction === 'cool' ? 'cool' : 'heat';
+        this.amplitude = config.amplitude || 2.0; // relay amplitude d (PID adjustment units)
+        this.hysteresis = config.hysteresis || 0.1; // relay noise band ε (°C)
+        this.cycles = config.cycles || 3; // full oscillations to average
+        this.timeout = config.timeout || 28800000; // ms
+        this.safetyBand = config.safetyBand || 2.0; // max °C away from setpoint
+
+        // State
+        this.state = 'running'; // 'running', 'done' or 'failed'
+        this.reason = null;
+        this.startTime = null;
+        this.relayOn = false;
+        this.switchCount = 0;
+        this.phaseExtreme = null; // lowest/highest temperature of the current half cycle
+        this.lastOnTime = null;
+        this.maxima = [];
+        this.minima = [];
+        this.periods = []; // s
+        this.result = null;
+    }
+
+    /**
+     * Process a temperature reading
+     * @param {number} temp - Current temperature
+     * @param {number} now - Current timestamp in ms
+     * @returns {boolean} true if the relay is on (heating/cooling)
+     */
+    update(temp, now = Date.now()) {
+        if (this.state !== 'running') {
+            return false;
+        }
+
+        if (this.startTime === null) {
+            this.startTime = now;
+            this.relayOn = this.value(temp) < this.value(this.setpoint);
+        }
+
+        if (now - this.startTime > this.timeout) {
+            return this.fail('timeout');
+        }
+        if (Math.abs(temp - this.setpoint) > this.safetyBand) {
+            return this.fail('safety');
+        }
+
+        // Work in the heating direction: for cooling the temperature axis is mirrored
+        const value = this.value(temp);
+        const setpoint = this.value(this.setpoint);
+
+        if (this.relayOn) {
+            // On phase: the minimum is reached after the dead time
+            this.phaseExtreme = this.phaseExtreme === null ? value : Math.min(this.phaseExtreme, value);
+            if (value > setpoint + this.hysteresis) {
+                this.switchRelay(false, now);
+            }
+        } else {
+            // Off phase: the maximum is reached after the dead time
+            this.phaseExtreme = this.phaseExtreme === null ? value : Math.max(this.phaseExtreme, value);
+            if (value < setpoint - this.hysteresis) {
+                this.switchRelay(true, now);
+            }
+        }
+
+        if (this.periods.length >= this.cycles &&
+            this.maxima.length >= this.cycles &&
+            this.minima.length >= this.cycles) {
+            this.calculateResult();
+        }
+
+        return this.relayOn;
+    }
+
+    /**
+     * Temperature in heating direction (mirrored for cooling)
+     */
+    value(temp) {
+        return this.direction === 'cool' ? -temp : temp;
+    }
+
+    /**
+     * Switch relay and record the extreme of the completed half cycle.
+     * The first half cycle starts at an arbitrary point and is discarded.
+     */
+    switchRelay(on, now) {
+        if (this.switchCount > 0) {
+            if (this.relayOn) {
+                this.minima.push(this.phaseExtreme);
+            } else {
+                this.maxima.push(this.phaseExtreme);
+            }
+        }
+
+        if (on) {
+            if (this.lastOnTime !== null) {
+                this.periods.push((now - this.lastOnTime) / 1000);
+            }
+            this.lastOnTime = now;
+        }
+
+        this.relayOn = on;
+        this.switchCount++;
+        this.phaseExtreme = null;
+    }
+
+    /**
+     * Stop the experiment without result
+     */
+    fail(reason) {
+        this.state = 'failed';
+        this.reason = reason;
+        this.relayOn = false;
+        return false;
+    }
+
+    /**
+     * Calculate Ku/Pu from the last cycles and derive PID gains
+     * (Tyreus-Luyben rules - less overshoot than Ziegler-Nichols, suited for thermal systems)
+     */
+    calculateResult() {
+        const average = values => values.slice(-this.cycles).reduce((sum, v) => sum + v, 0) / this.cycles;
+
+        // Oscillation amplitude a (half peak-to-peak), corrected for the relay hysteresis
+        const a = (average(this.maxima) - average(this.minima)) / 2;
+        if (a <= 0) {
+            this.fail('no_oscillation');
+            return;
+        }
+        const effective = a > this.hysteresis ? Math.sqrt(a * a - this.hysteresis * this.hysteresis) : a;
+
+        const Ku = 4 * this.amplitude / (Math.PI * effective);
+        const Pu = average(this.periods);
+
+        const Kp = Ku / 2.2;
+        const Ti = 2.2 * Pu;
+        const Td = Pu / 6.3;
+
+        this.result = {
+            Ku,
+            Pu,
+            amplitude: a,
+            Kp,
+            Ki: Kp / Ti,
+            Kd: Kp * Td
+        };
+        this.state = 'done';
+        this.relayOn = false;
+    }
+
+    /**
+     * Get progress information
+     */
+    getProgress(now = Date.now()) {
+        return {
+            state: this.state,
+            reason: this.reason,
+            relayOn: this.relayOn,
+            cycle: Math.min(this.periods.length, this.cycles),
+            cycles: this.cycles,
+            elapsed: this.startTime !== null ? Math.round((now - this.startTime) / 60000) : 0
+        };
+    }
+}
+
+module.exports = RelayAutotune;
@@ -0,0 +1,301 @@
+/**
+ * Runtime and Energy Statistics for Smart Thermostat
+ *
+ * Integrates the thermostat's samples over time into per-day and per-hour
+ * buckets (local time): active time of output 3, mean valve opening or
+ * setpoint offset, mean control error, heating degree-days and estimated
+ * energy. Each sample holds until the next one, gaps longer than maxGap
+ * (node stopped) are not counted.
+ *
+ * Buckets are kept for the current and previous month; older months are
+ * read back through a loader (e.g. from the node's rolling monthly files).
+ */
+
+const HOUR = 3600000;
+const DAY = 86400000;
+
+class RuntimeStats {
+    constructor(config = {}) {
+        // Configuration
+        this.heaterPower = config.heaterPower || 0; // kW at full load, 0 = no energy estimate
+        this.degreeDayBase = config.degreeDayBase !== undefined ? config.degreeDayBase : 15.5; // °C
+        this.maxGap = config.maxGap || 900000; // ms
+
+        // State
+        this.last = null; // { time, active, load, valve, offset, error, outdoorTemp }
+        this.days = {}; // { "YYYY-MM-DD": bucket }
+        this.hours = {}; // { "YYYY-MM-DDTHH": bucket }
+        this.dirty = new Set(); // months changed since the last save
+    }
+
+    /**
+     * Record a sample. The previous sample is counted up to now; fields missing
+     * in the sample keep their previous values.
+     * @param {object} sample - active (bool), load (0-1, share of heater power),
+     *        valve (%, valve mode), offset (°C, setpoint - target), error (°C, target - room),
+     *        outdoorTemp (°C); null where unknown
+     * @param {number} now - Timestamp in ms
+     */
+    record(sample, now = Date.now()) {
+        if (this.last && now > this.last.time) {
+            this.accumulate(this.last, this.last.time, Math.min(now, this.last.time + this.maxGap));
+        }
+        this.last = { ...this.last, ...sample, time: now };
+    }
+
+    /**
+     * Add a sample's contribution between two times, split at local hour boundaries
+     */
+    accumulate(sample, from, to) {
+        let start = from;
+        while (start < to) {
+            const boundary = new Date(start);
+            boundary.setMinutes(60, 0, 0);
+            const end = Math.min(to, boundary.getTime());
+            const { dayKey, hourKey } = RuntimeStats.keys(start);
+
+            this.addToBucket(this.days, dayKey, sample, end - start);
+            this.addToBucket(this.hours, hourKey, sample, end - start);
+            this.dirty.add(dayKey.slice(0, 7));
+            start = end;
+        }
+    }
+
+    /**
+     * Add a sample's contribution for a duration to one bucket
+     */
+    addToBucket(buckets, key, sample, duration) {
+        const bucket = buckets[key] || (buckets[key] = RuntimeStats.emptyBucket());
+        const seconds = duration / 1000;
+        const isNumber = value => typeof value === 'number' && !isNaN(value);
+
+        bucket.time += seconds;
+        if (sample.active) {
+            bucket.activeTime += seconds;
+        }
+        if (isNumber(sample.valve)) {
+            bucket.valveSum += sample.valve * seconds;
+            bucket.valveTime += seconds;
+        }
+        if (isNumber(sample.offset)) {
+            bucket.offsetSum += sample.offset * seconds;
+            bucket.offsetTime += seconds;
+        }
+        if (isNumber(sample.error)) {
+            bucket.errorSum += sample.error * seconds;
+            bucket.errorTime += seconds;
+        }
+        if (isNumber(sample.outdoorTemp)) {
+            bucket.degreeDays += Math.max(0, this.degreeDayBase - sample.outdoorTemp) * duration / DAY;
+            bucket.outdoorTime += seconds;
+        }
+        if (this.heaterPower > 0) {
+            const load = isNumber(sample.load) ? sample.load : (sample.active ? 1 : 0);
+            bucket.energy += this.heaterPower * Math.min(Math.max(load, 0), 1) * duration / HOUR;
+        }
+    }
+
+    /**
+     * Summary of a bucket
+     * @returns {object} coverage and activeTime (minutes), activeShare (%), meanValve (%),
+     *          meanOffset and meanError (°C), degreeDays, energy (kWh) - null where not measured
+     */
+    summarize(bucket) {
+        const b = bucket || RuntimeStats.emptyBucket();
+        const round = (value, digits) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+        const mean = (sum, time) => time > 0 ? round(sum / time, 2) : null;
+
+        return {
+            coverage: round(b.time / 60, 1),
+            activeTime: round(b.activeTime / 60, 1),
+            activeShare: b.time > 0 ? round(b.activeTime / b.time * 100, 1) : null,
+            meanValve: mean(b.valveSum, b.valveTime),
+            meanOffset: mean(b.offsetSum, b.offsetTime),
+            meanError: mean(b.errorSum, b.errorTime),
+            degreeDays: b.outdoorTime > 0 ? round(b.degreeDays, 2) : null,
+            energy: this.heaterPower > 0 ? round(b.energy, 3) : null
+        };
+    }
+
+    /**
+     * Statistics of today (local time), counted up to now
+     */
+    getToday(now = Date.now()) {
+        const { dayKey } = RuntimeStats.keys(now);
+        return { date: dayKey, ...this.summarize(this.withPending(this.days[dayKey], dayKey, now)) };
+    }
+
+    /**
+     * Bucket including the still running sample (not yet accumulated)
+     */
+    withPending(bucket, dayKey, now) {
+        if (!this.last || now <= this.last.time) {
+            return bucket;
+        }
+        const from = Math.max(this.last.time, new Date(`${dayKey}T00:00:00`).getTime());
+        const to = Math.min(now, this.last.time + this.maxGap);
+        if (from >= to) {
+            return bucket;
+        }
+        const pending = { [dayKey]: { ...(bucket || RuntimeStats.emptyBucket()) } };
+        this.addToBucket(pending, dayKey, this.last, to - from);
+        return pending[dayKey];
+    }
+
+    /**
+     * Query daily and hourly statistics
+     * @param {object} query - { days: 7, hours: 24 } (most recent) or { from: "2026-09-01", to: "2026-09-30" }
+     * @param {number} now - Timestamp in ms
+     * @param {function} loadMonth - (monthKey) => { days, hours } for months not held in memory, or null
+     * @returns {object} { days: [...], hours: [...], total } oldest first
+     */
+    query(query = {}, now = Date.now(), loadMonth = null) {
+        const today = RuntimeStats.keys(now).dayKey;
+        const limit = (value, fallback, max) => {
+            const parsed = parseInt(value, 10);
+            return isNaN(parsed) ? fallback : Math.min(Math.max(parsed, 0), max);
+        };
+
+        let dayKeys;
+        if (query.from) {
+            const requestedTo = query.to ? String(query.to).slice(0, 10) : null;
+            const to = requestedTo && requestedTo < today ? requestedTo : today;
+            dayKeys = [];
+            for (let key = String(query.from).slice(0, 10); key <= to && dayKeys.length < 366; key = RuntimeStats.shiftDay(key, 1)) {
+                dayKeys.push(key);
+            }
+        } else {
+            const count = limit(query.days, 7, 366);
+            dayKeys = [];
+            for (let i = count - 1; i >= 0; i--) {
+                dayKeys.push(RuntimeStats.shiftDay(today, -i));
+            }
+        }
+
+        const hourCount = limit(query.hours, query.from ? 0 : 24, 31 * 24);
+        const hourKeys = [];
+        for (let i = hourCount - 1; i >= 0; i--) {
+            hourKeys.push(RuntimeStats.keys(now - i * HOUR).hourKey);
+        }
+
+        // Months not held in memory come from the loader
+        const loaded = {};
+        const lookup = (kind, key) => {
+            const month = key.slice(0, 7);
+            if (this.isHeld(month, now)) {
+                return this[kind][key];
+            }
+            if (loaded[month] === undefined) {
+                loaded[month] = (loadMonth && loadMonth(month)) || { days: {}, hours: {} };
+            }
+            return (loaded[month][kind] || {})[key];
+        };
+
+        const total = RuntimeStats.emptyBucket();
+        const days = dayKeys.map(key => {
+            const bucket = key === today ? this.withPending(lookup('days', key), key, now) : lookup('days', key);
+            if (bucket) {
+                Object.keys(total).forEach(field => { total[field] += bucket[field]; });
+            }
+            return { date: key, ...this.summarize(bucket) };
+        });
+        const hours = hourKeys.map(key => ({ hour: key, ...this.summarize(lookup('hours', key)) }));
+
+        return { days, hours, total: this.summarize(total) };
+    }
+
+    /**
+     * Whether a month's buckets are held in memory (current and previous month)
+     */
+    isHeld(month, now = Date.now()) {
+        const current = RuntimeStats.keys(now).dayKey.slice(0, 7);
+        return month >= RuntimeStats.shiftMonth(current, -1);
+    }
+
+    /**
+     * Raw buckets of a month (for saving)
+     * @param {string} month - "YYYY-MM"
+     */
+    getMonth(month) {
+        const pick = buckets => Object.keys(buckets)
+            .filter(key => key.startsWith(month))
+            .reduce((result, key) => { result[key] = buckets[key]; return result; }, {});
+        return { days: pick(this.days), hours: pick(this.hours) };
+    }
+
+    /**
+     * Restore raw buckets of a month (from a saved file)
+     */
+    loadMonth(data) {
+        if (!data || typeof data !== 'object') return;
+        Object.assign(this.days, data.days || {});
+        Object.assign(this.hours, data.hours || {});
+    }
+
+    /**
+     * Months changed since the last call (to be saved); drops months no longer held
+     * @returns {string[]} month keys "YYYY-MM"
+     */
+    takeDirtyMonths(now = Date.now()) {
+        const months = [...this.dirty];
+        this.dirty.clear();
+        const keep = key => this.isHeld(key.slice(0, 7), now) || months.includes(key.slice(0, 7));
+        [this.days, this.hours].forEach(buckets => {
+            Object.keys(buckets).forEach(key => {
+                if (!keep(key)) delete buckets[key];
+            });
+        });
+        return months;
+    }
+
+    /**
+     * Empty bucket (seconds, sums weighted by seconds)
+     */
+    static emptyBucket() {
+        return {
+            time: 0, activeTime: 0,
+            valveSum: 0, valveTime: 0, offsetSum: 0, offsetTime: 0, errorSum: 0, errorTime: 0,
+            degreeDays: 0, outdoorTime: 0, energy: 0
+        };
+    }
+
+    /**
+     * Local day and hour keys of a timestamp
+     * @returns {object} { dayKey: "YYYY-MM-DD", hourKey: "YYYY-MM-DDTHH" }
+     */
+    static keys(time) {
+        const date = new Date(time);
+        const pad = value => String(value).padStart(2, '0');
+        const dayKey = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        return { dayKey, hourKey: `${dayKey}T${pad(date.getHours())}` };
+    }
+
+    /**
+     * Whether a value is a valid calendar date "YYYY-MM-DD" (a longer ISO timestamp counts by its date)
+     */
+    static isDayKey(value) {
+        const key = String(value).slice(0, 10);
+        return /^\d{4}-\d{2}-\d{2}$/.test(key) && !isNaN(Date.parse(`${key}T00:00:00Z`)) &&
+            new Date(`${key}T00:00:00Z`).toISOString().slice(0, 10) === key;
+    }
+
+    /**
+     * Move a day key by a number of days
+     */
+    static shiftDay(dayKey, days) {
+        const [year, month, day] = dayKey.split('-').map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day + days));
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Move a month key by a number of months
+     */
+    static shiftMonth(monthKey, months) {
+        const [year, month] = monthKey.split('-').map(Number);
+        const date = new Date(Date.UTC(year, month - 1 + months, 1));
+        return date.toISOString().slice(0, 7);
+    }
+}
+
+module.exports = RuntimeStats;
@@ -0,0 +1,145 @@
+/**
+ * Multi-Sensor Fusion for Smart Thermostat
+ *
+ * Keeps the latest reading per sensor (identified by msg.sensor or msg.topic)
+ * and combines them into one room temperature. Stale sensors are ignored and,
+ * with three or more sensors, readings too far from the median are rejected
+ * as outliers.
+ */
+
+const STRATEGIES = ['average', 'weighted', 'min', 'max', 'median'];
+
+class SensorFusion {
+    constructor(config = {}) {
+        // Configuration
+        this.strategy = STRATEGIES.includes(config.strategy) ? config.strategy : 'average';
+        this.maxAge = config.maxAge || 1800000; // ms, older readings are stale
+        this.outlierThreshold = config.outlierThreshold || 2.0; // °C from median
+        this.weights = config.weights || {}; // { sensorId: weight }, default 1
+
+        // State
+        this.readings = {}; // { sensorId: { value, time } }
+    }
+
+    /**
+     * Store latest reading of a sensor
+     */
+    addReading(sensorId, value, now = Date.now()) {
+        this.readings[String(sensorId)] = { value, time: now };
+    }
+
+    /**
+     * Combine current readings
+     * @returns {{value: number|null, sensors: Array}} fused temperature (null if all sensors are stale)
+     *          and per-sensor details: id, value, age (s), weight, status (used/stale/outlier), contribution (%)
+     */
+    fuse(now = Date.now()) {
+        const sensors = Object.keys(this.readings).map(id => {
+            const reading = this.readings[id];
+            const weight = this.weights[id] !== undefined ? this.weights[id] : 1;
+            return {
+                id,
+                value: reading.value,
+                age: Math.round((now - reading.time) / 1000),
+                weight,
+                status: now - reading.time > this.maxAge ? 'stale' : 'used',
+                contribution: 0
+            };
+        });
+
+        // Outliers can only be told apart with a majority of at least 3 sensors
+        let valid = sensors.filter(sensor => sensor.status === 'used');
+        let strategy = this.strategy;
+        if (valid.length >= 3) {
+            const median = this.median(valid.map(sensor => sensor.value));
+            const outliers = valid.filter(sensor => Math.abs(sensor.value - median) > this.outlierThreshold);
+            if (outliers.length < valid.length) {
+                outliers.forEach(sensor => {
+                    sensor.status = 'outlier';
+                });
+                valid = valid.filter(sensor => sensor.status === 'used');
+            } else {
+                // No majority (e.g. two pairs far apart) - use the plain median of all
+                strategy = 'median';
+            }
+        }
+
+        if (valid.length === 0) {
+            return { value: null, sensors };
+        }
+
+        const value = this.combine(valid, strategy);
+        return { value: Math.round(value * 100) / 100, sensors };
+    }
+
+    /**
+     * Apply strategy and set each sensor's contribution (%)
+     */
+    combine(valid, strategy = this.strategy) {
+        const share = (sensor, fraction) => {
+            sensor.contribution = Math.round(fraction * 1000) / 10;
+        };
+
+        switch (strategy) {
+            case 'weighted': {
+                const totalWeight = valid.reduce((sum, sensor) => sum + sensor.weight, 0);
+                if (totalWeight > 0) {
+                    valid.forEach(sensor => share(sensor, sensor.weight / totalWeight));
+                    return valid.reduce((sum, sensor) => sum + sensor.value * sensor.weight, 0) / totalWeight;
+                }
+                break; // all weights 0 - fall back to average
+            }
+            case 'min':
+            case 'max': {
+                const pick = valid.reduce((best, sensor) => {
+                    const better = strategy === 'min' ? sensor.value < best.value : sensor.value > best.value;
+                    return better ? sensor : best;
+                });
+                share(pick, 1);
+                return pick.value;
+            }
+            case 'median': {
+                const sorted = [...valid].sort((a, b) => a.value - b.value);
+                const mid = Math.floor(sorted.length / 2);
+                if (sorted.length % 2) {
+                    share(sorted[mid], 1);
+                    return sorted[mid].value;
+                }
+                share(sorted[mid - 1], 0.5);
+                share(sorted[mid], 0.5);
+                return (sorted[mid - 1].value + sorted[mid].value) / 2;
+            }
+        }
+
+        valid.forEach(sensor => share(sensor, 1 / valid.length));
+        return valid.reduce((sum, sensor) => sum + sensor.value, 0) / valid.length;
+    }
+
+    /**
+     * Median of a list of numbers
+     */
+    median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+
+    /**
+     * Parse weights from editor text, e.g. "living=2, hall=1"
+     */
+    static parseWeights(text) {
+        const weights = {};
+        String(text || '').split(',').forEach(entry => {
+            const separator = entry.lastIndexOf('=');
+            if (separator <= 0) return;
+            const id = entry.slice(0, separator).trim();
+            const weight = parseFloat(entry.slice(separator + 1));
+            if (id && !isNaN(weight) && weight >= 0) {
+                weights[id] = weight;
+            }
+        });
+        return weights;
+    }
+}
+
+module.exports = SensorFusion;
@@ -0,0 +1,72 @@
+/**
+ * Sunrise/Sunset Calculation for Smart Thermostat
+ *
+ * Computes sunrise and sunset for a location locally (sunrise equation,
+ * accurate to about a minute - no network service needed). Used to resolve
+ * schedule slot times such as "sunset-30" or "sunrise+60".
+ */
+
+const J1970 = 2440587.5; // Julian date of the Unix epoch
+const J2000 = 2451545.0;
+const RAD = Math.PI / 180;
+const OBLIQUITY = 23.4397 * RAD; // axial tilt of the earth
+const SUN_ALTITUDE = -0.833 * RAD; // refraction and solar disc radius
+
+class SunTimes {
+    constructor(config = {}) {
+        // Configuration
+        this.latitude = config.latitude; // degrees, north positive
+        this.longitude = config.longitude; // degrees, east positive
+
+        // State
+        this.cache = {}; // { dateKey: { sunrise, sunset } }
+    }
+
+    /**
+     * Sunrise and sunset of a calendar day
+     * @param {string} dateKey - Calendar date "YYYY-MM-DD"
+     * @returns {object} { sunrise, sunset } timestamps in ms, null during polar night / midnight sun
+     */
+    getTimes(dateKey) {
+        if (this.cache[dateKey]) {
+            return this.cache[dateKey];
+        }
+
+        const [year, month, day] = String(dateKey).split('-').map(Number);
+        const julianDay = Date.UTC(year, month - 1, day) / 86400000 + J1970;
+
+        // Mean solar noon at this longitude
+        const days = Math.ceil(julianDay - J2000 + 0.0008);
+        const meanNoon = days - this.longitude / 360;
+
+        // Solar mean anomaly, equation of center and ecliptic longitude
+        const anomaly = ((357.5291 + 0.98560028 * meanNoon) % 360) * RAD;
+        const center = 1.9148 * Math.sin(anomaly) + 0.0200 * Math.sin(2 * anomaly) + 0.0003 * Math.sin(3 * anomaly);
+        const eclipticLongitude = ((anomaly / RAD + center + 180 + 102.9372) % 360) * RAD;
+
+        // Solar transit and declination
+        const transit = J2000 + meanNoon + 0.0053 * Math.sin(anomaly) - 0.0069 * Math.sin(2 * eclipticLongitude);
+        const declination = Math.asin(Math.sin(eclipticLongitude) * Math.sin(OBLIQUITY));
+
+        // Hour angle between transit and sunrise/sunset
+        const latitude = this.latitude * RAD;
+        const cosHourAngle = (Math.sin(SUN_ALTITUDE) - Math.sin(latitude) * Math.sin(declination)) /
+            (Math.cos(latitude) * Math.cos(declination));
+
+        let times = { sunrise: null, sunset: null };
+        if (cosHourAngle >= -1 && cosHourAngle <= 1) {
+            const hourAngle = Math.acos(cosHourAngle) / (2 * Math.PI);
+            const toTime = julian => Math.round((julian - J1970) * 86400000);
+            times = { sunrise: toTime(transit - hourAngle), sunset: toTime(transit + hourAngle) };
+        }
+
+        // Schedules only look at a few days around today
+        if (Object.keys(this.cache).length >= 16) {
+            this.cache = {};
+        }
+        this.cache[dateKey] = times;
+        return times;
+    }
+}
+
+module.exports = SunTimes;
@@ -0,0 +1,185 @@
+/**
+ * Thermal Room Simulator for Smart Thermostat
+ *
+ * First-order room model with heat loss to outdoors, dead time between the
+ * heater and the room sensor, and a valve that follows its command with a
+ * time constant. Drives an AdaptiveController on a virtual clock, so hours of
+ * regulation run in milliseconds, and reports overshoot, settling time and energy.
+ *
+ * Usage:
+ *   const sim = new ThermalSimulator({ initialTemp: 17, outdoorTemp: 0 });
+ *   const controller = new AdaptiveController({ targetTemp: 21, clock: sim.clock });
+ *   const report = sim.run(controller, { duration: 12 * 3600000 });
+ */
+
+const HOUR = 3600000;
+
+class ThermalSimulator {
+    constructor(config = {}) {
+        // Room model
+        this.mode = config.mode === 'cool' ? 'cool' : 'heat';
+        this.heatLoss = config.heatLoss !== undefined ? config.heatLoss : 0.1; // 1/h, share of indoor-outdoor difference lost per hour
+        this.heaterGain = config.heaterGain || 3.0; // °C/h with fully open valve
+        this.heaterPower = config.heaterPower || 1.0; // kW with fully open valve
+        this.deadTime = config.deadTime !== undefined ? config.deadTime : 600000; // ms from valve to sensor
+        this.valveTimeConstant = config.valveTimeConstant !== undefined ? config.valveTimeConstant : 300000; // ms
+        this.trvBand = config.trvBand || 1.0; // °C, proportional band of the TRV's own regulation (setpoint mode)
+        this.trvOffset = config.trvOffset || 0; // °C, TRV sensor reads room + offset
+        this.sensorResolution = config.sensorResolution || 0.1; // °C
+        this.step = config.step || 10000; // ms, integration step
+
+        // State
+        this.time = config.startTime !== undefined ? config.startTime : Date.now();
+        this.roomTemp = config.initialTemp !== undefined ? config.initialTemp : 18;
+        this.outdoorTemp = config.outdoorTemp !== undefined ? config.outdoorTemp : 5;
+        this.valve = 0; // 0-1
+        this.delayLine = []; // valve positions still travelling to the sensor
+        this.energy = 0; // kWh
+
+        // Virtual clock for AdaptiveController({ clock })
+        this.clock = () => this.time;
+    }
+
+    /**
+     * Room temperature as seen by the sensor (quantized)
+     */
+    readSensor() {
+        return Math.round(this.roomTemp / this.sensorResolution) * this.sensorResolution;
+    }
+
+    /**
+     * TRV's local temperature reading (for msg.valveTemp)
+     */
+    readValveSensor() {
+        return Math.round((this.roomTemp + this.trvOffset) / this.sensorResolution) * this.sensorResolution;
+    }
+
+    /**
+     * Valve opening (0-1) commanded by the controller output.
+     * Setpoint mode models a TRV/AC regulating on its own sensor with a proportional band.
+     */
+    getValveCommand(output, outputMode) {
+        if (outputMode === 'valve') {
+            return Math.min(Math.max(output / 100, 0), 1);
+        }
+        const localTemp = this.roomTemp + this.trvOffset;
+        const difference = this.mode === 'cool' ? localTemp - output : output - localTemp;
+        return Math.min(Math.max(difference / this.trvBand, 0), 1);
+    }
+
+    /**
+     * Advance the model
+     * @param {number} duration - ms
+     * @param {number} output - Controller output (°C setpoint or % valve position)
+     * @param {string} outputMode - 'setpoint' or 'valve'
+     */
+    advance(duration, output, outputMode) {
+        const deadSteps = Math.round(this.deadTime / this.step);
+
+        for (let elapsed = 0; elapsed < duration; elapsed += this.step) {
+            const dt = Math.min(this.step, duration - elapsed);
+            const command = this.getValveCommand(output, outputMode);
+
+            // Valve (and radiator) follow the command with a first-order lag
+            this.valve += (command - this.valve) * (this.valveTimeConstant > 0 ? 1 - Math.exp(-dt / this.valveTimeConstant) : 1);
+
+            // Dead time between heat emission and the sensor
+            this.delayLine.push(this.valve);
+            const delivered = this.delayLine.length > deadSteps ? this.delayLine.shift() : 0;
+
+            const hours = dt / HOUR;
+            const gain = this.mode === 'cool' ? -this.heaterGain : this.heaterGain;
+            this.roomTemp += (gain * delivered - this.heatLoss * (this.roomTemp - this.outdoorTemp)) * hours;
+            this.energy += this.heaterPower * this.valve * hours;
+            this.time += dt;
+        }
+    }
+
+    /**
+     * Drive a controller at accelerated time
+     * @param {AdaptiveController} controller - Created with { clock: simulator.clock }
+     * @param {object} options - duration (ms), sampleInterval (ms, default 60000),
+     *        settleBand (°C, default 0.3), onSample(simulator, result) called after every update
+     * @returns {object} report with trajectory
+     */
+    run(controller, options = {}) {
+        const duration = options.duration || 12 * HOUR;
+        const sampleInterval = options.sampleInterval || 60000;
+        const startTime = this.time;
+        const startEnergy = this.energy;
+        const trajectory = [];
+
+        while (this.time - startTime < duration) {
+            const result = controller.update(this.readSensor());
+            if (options.onSample) {
+                options.onSample(this, result);
+            }
+
+            trajectory.push({
+                time: Math.round((this.time - startTime) / 1000),
+                temp: Math.round(this.roomTemp * 100) / 100,
+                target: result.debug.targetTemp,
+                output: result.output,
+                valve: Math.round(this.valve * 100)
+            });
+
+            this.advance(sampleInterval, result.output, controller.outputMode);
+        }
+
+        return {
+            ...ThermalSimulator.analyze(trajectory, options.settleBand),
+            energy: Math.round((this.energy - startEnergy) * 1000) / 1000,
+            trajectory
+        };
+    }
+
+    /**
+     * Control quality of a trajectory, measured from the last target change
+     * @returns {object} overshoot (°C), riseTime (s), settlingTime (s, null if not settled), meanAbsError (°C)
+     */
+    static analyze(trajectory, settleBand = 0.3) {
+        if (trajectory.length === 0) {
+            return { overshoot: 0, riseTime: null, settlingTime: null, meanAbsError: 0 };
+        }
+
+        let start = 0;
+        for (let i = 1; i < trajectory.length; i++) {
+            if (trajectory[i].target !== trajectory[i - 1].target) {
+                start = i;
+            }
+        }
+
+        const samples = trajectory.slice(start);
+        const t0 = samples[0].time;
+        const target = samples[samples.length - 1].target;
+        const direction = target >= samples[0].temp ? 1 : -1;
+
+        const overshoot = Math.max(0, ...samples.map(s => direction * (s.temp - target)));
+        const reached = samples.find(s => direction * (s.temp - target) >= 0);
+
+        // Settled after the last sample outside the band
+        let lastOutside = -1;
+        samples.forEach((s, i) => {
+            if (Math.abs(s.temp - target) > settleBand) {
+                lastOutside = i;
+            }
+        });
+        let settlingTime = null;
+        if (lastOutside === -1) {
+            settlingTime = 0;
+        } else if (lastOutside < samples.length - 1) {
+            settlingTime = samples[lastOutside + 1].time - t0;
+        }
+
+        const meanAbsError = samples.reduce((sum, s) => sum + Math.abs(s.temp - s.target), 0) / samples.length;
+
+        return {
+            overshoot: Math.round(overshoot * 100) / 100,
+            riseTime: reached ? reached.time - t0 : null,
+            settlingTime,
+            meanAbsError: Math.round(meanAbsError * 100) / 100
+        };
+    }
+}
+
+module.exports = ThermalSimulator;
@@ -0,0 +1,102 @@
+/**
+ * Time-Proportional (TPI/PWM) Output for Smart Thermostat
+ *
+ * Converts the PID demand (0-100%) into on/off relay switching over a fixed
+ * cycle period, e.g. 40% demand with a 10 minute cycle = 4 minutes on, 6 off.
+ * Minimum on and off times protect relays, boilers and compressors.
+ */
+
+class TpiController {
+    constructor(config = {}) {
+        // Configuration (ms)
+        this.cyclePeriod = config.cyclePeriod || 600000;
+        this.minOnTime = config.minOnTime !== undefined ? config.minOnTime : 60000;
+        this.minOffTime = config.minOffTime !== undefined ? config.minOffTime : 60000;
+
+        // State
+        this.demand = 0; // %
+        this.relayOn = false;
+        this.cycleStart = null;
+        this.onDuration = 0; // on time within current cycle
+        this.lastSwitchTime = null;
+    }
+
+    /**
+     * Set demand for the next cycle
+     * @param {number} demand - 0-100%
+     */
+    setDemand(demand) {
+        if (typeof demand !== 'number' || isNaN(demand)) return;
+
+        this.demand = Math.min(Math.max(demand, 0), 100);
+
+        // Idle cycle running - start a new one right away instead of waiting for it to end
+        if (!this.relayOn && this.onDuration === 0 && this.demand > 0) {
+            this.cycleStart = null;
+        }
+    }
+
+    /**
+     * Calculate on time for one cycle. On times shorter than the minimum
+     * on time are skipped; off times shorter than the minimum off time
+     * become a full-on cycle.
+     */
+    getOnDuration(demand) {
+        const onDuration = demand / 100 * this.cyclePeriod;
+
+        if (onDuration < this.minOnTime) {
+            return 0;
+        }
+        if (this.cyclePeriod - onDuration < this.minOffTime) {
+            return this.cyclePeriod;
+        }
+        return onDuration;
+    }
+
+    /**
+     * Advance the cycle. Call periodically (e.g. every second).
+     * @param {number} now - Current timestamp in ms
+     * @returns {boolean} true if relay state changed
+     */
+    tick(now = Date.now()) {
+        // Start new cycle
+        if (this.cycleStart === null || now - this.cycleStart >= this.cyclePeriod) {
+            this.cycleStart = now;
+            this.onDuration = this.getOnDuration(this.demand);
+        }
+
+        let wantOn = now - this.cycleStart < this.onDuration;
+
+        // No demand (off, idle, open window) - don't wait for the cycle to end
+        if (this.demand === 0) {
+            wantOn = false;
+        }
+
+        // Enforce minimum on/off times
+        if (wantOn !== this.relayOn && this.lastSwitchTime !== null) {
+            const sinceSwitch = now - this.lastSwitchTime;
+            if (this.relayOn && sinceSwitch < this.minOnTime) {
+                wantOn = true;
+            } else if (!this.relayOn && sinceSwitch < this.minOffTime) {
+                wantOn = false;
+            }
+        }
+
+        if (wantOn !== this.relayOn) {
+            this.relayOn = wantOn;
+            this.lastSwitchTime = now;
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Get duty cycle of the current cycle (0-100%)
+     */
+    getDutyCycle() {
+        return Math.round(this.onDuration / this.cyclePeriod * 1000) / 10;
+    }
+}
+
+module.exports = TpiController;
@@ -1,5 +1,9 @@
 const AdaptiveController = require('../lib/adaptive-controller');
 const MqttHaIntegration = require('../lib/mqtt-ha-integration');
+const TpiController = require('../lib/tpi-controller');
+const SensorFusion = require('../lib/sensor-fusion');
+const IcsCalendar = require('../lib/ics-calendar');
+const RuntimeStats = require('../lib/runtime-stats');
 const fs = require('fs');
 const path = require('path');
 
@@ -67,6 +71,75 @@ module.exports = function(RED) {
         }
     }
 
+    /**
+     * Get statistics file path for a node and month ("YYYY-MM")
+     */
+    function getStatsFilePath(nodeId, month) {
+        return path.join(storageDir, `stats-${nodeId}-${month}.json`);
+    }
+
+    /**
+     * Load one month of statistics
+     */
+    function loadStatsFile(nodeId, month) {
+        const filePath = getStatsFilePath(nodeId, month);
+        try {
+            if (fs.existsSync(filePath)) {
+                return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            }
+        } catch (err) {
+            RED.log.warn('smart-thermostat: Could not load statistics from file: ' + err.message);
+        }
+        return null;
+    }
+
+    /**
+     * Save one month of statistics
+     */
+    function saveStatsFile(nodeId, month, data) {
+        try {
+            fs.writeFileSync(getStatsFilePath(nodeId, month), JSON.stringify(data), 'utf8');
+        } catch (err) {
+            RED.log.warn('smart-thermostat: Could not save statistics to file: ' + err.message);
+        }
+    }
+
+    /**
+     * Delete statistics files older than the retention (months)
+     */
+    function pruneStatsFiles(nodeId, retention) {
+        const oldest = RuntimeStats.shiftMonth(RuntimeStats.keys(Date.now()).dayKey.slice(0, 7), 1 - retention);
+        const prefix = `stats-${nodeId}-`;
+        try {
+            fs.readdirSync(storageDir)
+                .filter(file => file.startsWith(prefix) && file.slice(prefix.length, -5) < oldest)
+                .forEach(file => fs.unlinkSync(path.join(storageDir, file)));
+        } catch (err) {
+            RED.log.warn('smart-thermostat: Could not prune statistics files: ' + err.message);
+        }
+    }
+
+    /**
+     * Parse numeric config value, allowing 0 (unlike `parseFloat(x) || default`)
+     */
+    function parseNumber(value, defaultValue) {
+        const parsed = parseFloat(value);
+        return isNaN(parsed) ? defaultValue : parsed;
+    }
+
+    /**
+     * Format a duration in minutes for the node status, e.g. "45m", "2h 15m", "3d 4h"
+     */
+    function formatDuration(minutes) {
+        if (minutes >= 1440) {
+            return `${Math.floor(minutes / 1440)}d ${Math.floor((minutes % 1440) / 60)}h`;
+        }
+        if (minutes >= 60) {
+            return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+        }
+        return `${minutes}m`;
+    }
+
     function SmartThermostatNode(config) {
         RED.nodes.createNode(this, config);
         const node = this;
@@ -81,19 +154,115 @@ module.exports = function(RED) {
             minTemp: parseFloat(config.minTemp) || 15,
             maxTemp: parseFloat(config.maxTemp) || 25,
             targetTemp: parseFloat(config.targetTemp) || 21,
+            // Dual setpoint for heat_cool (empty = single target)
+            targetTempLow: parseNumber(config.targetTempLow, null),
+            targetTempHigh: parseNumber(config.targetTempHigh, null),
             hysteresis: parseFloat(config.hysteresis) || 0.2,
             sampleInterval: (parseFloat(config.sampleInterval) || 60) * 1000,
             learningEnabled: config.learningEnabled !== false,
+            pidFrozen: config.pidFrozen === true,
+            // Gain scheduling: outdoor band limits "0, 10" (°C)
+            gainBands: String(config.gainBands || '').split(',').map(parseFloat).filter(limit => !isNaN(limit)),
             maxOutputChange: parseFloat(config.maxOutputChange) || 0.5,
             precision: parseFloat(config.precision) || 0.5,
             mode: normalizedMode,
             operatingMode: config.operatingMode || 'manual',
-            awayTemp: parseFloat(config.awayTemp) || 16
+            awayTemp: parseFloat(config.awayTemp) || 16,
+            // Default boost (msg.boost = true, HA boost preset)
+            boostRelative: parseNumber(config.boostRelative, 3),
+            boostDuration: parseNumber(config.boostDuration, 60),
+            // Presence eco setback (grace period configured in minutes)
+            presenceGracePeriod: parseNumber(config.presenceGrace, 15) * 60000,
+            ecoSetback: parseNumber(config.ecoSetback, 3),
+            // Sensor failsafe (timeouts configured in minutes, 0 = disabled)
+            sensorTimeout: parseNumber(config.sensorTimeout, 60) * 60000,
+            sensorFrozenTimeout: parseNumber(config.sensorFrozenTimeout, 0) * 60000,
+            failsafeTemp: parseNumber(config.failsafeTemp, 16),
+            failsafeValvePosition: parseNumber(config.failsafeValvePosition, 20),
+            // Open window detection (times configured in minutes)
+            windowDetection: config.windowDetection === true,
+            windowDropThreshold: parseFloat(config.windowDropThreshold) || 1.0,
+            windowDetectionTime: (parseFloat(config.windowDetectionTime) || 5) * 60000,
+            windowPauseDuration: (parseFloat(config.windowPauseDuration) || 30) * 60000,
+            // Frost protection (heats in any mode, including off and away)
+            frostProtection: config.frostProtection === true,
+            frostTemp: parseNumber(config.frostTemp, 5),
+            frostHysteresis: parseNumber(config.frostHysteresis, 1),
+            // TRV internal sensor offset learning (msg.valveTemp)
+            valveOffsetLearning: config.valveOffsetLearning === true,
+            // Outdoor temperature feedforward
+            weatherCompensation: config.weatherCompensation === true,
+            weatherGain: parseNumber(config.weatherGain, 0.05),
+            // Optimal start (preheat ahead of schedule slots)
+            optimalStart: config.optimalStart === true,
+            maxPreheatTime: (parseFloat(config.maxPreheatTime) || 180) * 60000,
+            heatUpRate: parseFloat(config.heatUpRate) || 1.0,
+            // Setpoint ramp between schedule slots (°C/hour, 0 = jump)
+            rampRate: parseNumber(config.rampRate, 0),
+            // Location for sunrise/sunset-relative schedule slots (empty = disabled)
+            latitude: parseNumber(config.latitude, null),
+            longitude: parseNumber(config.longitude, null),
+            // Calendar (ICS) summary keywords, e.g. "Away=away, Guests=22"
+            calendarKeywords: IcsCalendar.parseKeywords(config.calendarKeywords !== undefined ? config.calendarKeywords : 'Away=away'),
+            // PID adjustment (°C) that corresponds to 100% demand
+            demandBand: parseFloat(config.demandBand) || 2.0,
+            // Valve position output (%)
+            outputMode: config.outputMode === 'valve' ? 'valve' : 'setpoint',
+            valveRateLimit: parseFloat(config.valveRateLimit) || 10,
+            valveMinOpening: parseNumber(config.valveMinOpening, 0),
+            valveMaxOpening: parseNumber(config.valveMaxOpening, 100),
+            // Compressor short-cycle protection (times configured in minutes)
+            compressorProtection: config.compressorProtection === true,
+            minRunTime: parseNumber(config.minRunTime, 5) * 60000,
+            minOffTime: parseNumber(config.minOffTime, 5) * 60000,
+            maxStartsPerHour: parseNumber(config.maxStartsPerHour, 6),
+            // Relay-feedback autotune (timeout configured in minutes)
+            autotuneAmplitude: parseFloat(config.autotuneAmplitude) || 2.0,
+            autotuneSafetyBand: parseFloat(config.autotuneSafetyBand) || 2.0,
+            autotuneTimeout: (parseFloat(config.autotuneTimeout) || 480) * 60000
         };
 
         // Output format for active regulation indicator
         const activeOutputFormat = config.activeOutputFormat || 'boolean';
 
+        // Output mode: 'setpoint' (output 1 = °C, output 3 = hysteresis latch),
+        // 'valve' (output 1 = opening %, output 3 = hysteresis latch) or
+        // 'tpi' (output 1 = °C, output 3 = time-proportional relay)
+        const outputMode = config.outputMode || 'setpoint';
+        const tpi = outputMode === 'tpi'
+            ? new TpiController({
+                cyclePeriod: (parseFloat(config.tpiCyclePeriod) || 10) * 60000,
+                minOnTime: parseNumber(config.tpiMinOnTime, 1) * 60000,
+                minOffTime: parseNumber(config.tpiMinOffTime, 1) * 60000
+            })
+            : null;
+        let tpiTimer = null;
+        let lastTopic = null;
+
+        // Multi-sensor fusion: 'single' (every reading is the room temperature) or a strategy
+        // combining the latest reading per sensor (msg.sensor or msg.topic)
+        const fusionStrategy = config.sensorFusion || 'single';
+        const fusion = fusionStrategy !== 'single'
+            ? new SensorFusion({
+                strategy: fusionStrategy,
+                maxAge: (parseFloat(config.fusionMaxAge) || 30) * 60000,
+                outlierThreshold: parseFloat(config.fusionOutlierThreshold) || 2.0,
+                weights: SensorFusion.parseWeights(config.fusionWeights)
+            })
+            : null;
+
+        // Runtime statistics - per day and hour, saved in monthly files
+        const stats = config.statsEnabled !== false
+            ? new RuntimeStats({
+                heaterPower: parseNumber(config.heaterPower, 0),
+                degreeDayBase: parseNumber(config.degreeDayBase, 15.5),
+                // Samples further apart than this are a gap (node stopped)
+                maxGap: Math.max(900000, controllerConfig.sampleInterval * 3)
+            })
+            : null;
+        const statsRetention = Math.max(1, parseNumber(config.statsRetention, 12));
+        let statsTimer = null;
+
         // Create controller
         const controller = new AdaptiveController(controllerConfig);
 
@@ -101,6 +270,21 @@ module.exports = function(RED) {
         let wasHeatingActive = false;
         let wasCoolingActive = false;
 
+        // Autotune - remembers if an experiment was running (to report its end)
+        let autotuneRunning = false;
+
+        // Open window set by the HA window_open preset (cleared by preset 'none')
+        let windowFromPreset = false;
+
+        // Sensor watchdog - remembers if a fault was already reported
+        let sensorFaultReported = false;
+        let sensorWatchdog = null;
+
+        // Calendar file - re-read when it changes
+        const calendarFile = (config.calendarFile || '').trim();
+        let calendarTimer = null;
+        let calendarMtime = null;
+
         // MQTT Home Assistant Integration (optional)
         const mqttEnabled = config.mqttEnabled === true;
         let mqttIntegration = null;
@@ -121,7 +305,8 @@ module.exports = function(RED) {
                     minTemp: controllerConfig.minTemp,
                     maxTemp: controllerConfig.maxTemp,
                     precision: controllerConfig.precision,
-                    modes: [controllerConfig.mode]
+                    modes: [controllerConfig.mode],
+                    stats: stats ? { energy: stats.heaterPower > 0, valve: outputMode === 'valve' } : null
                 });
 
                 // Function to setup MQTT when client is available
@@ -152,20 +337,36 @@ module.exports = function(RED) {
                             if (command.setpoint !== undefined) {
                                 controller.setSetpoint(command.setpoint);
                             }
+                            if (command.setpointLow !== undefined || command.setpointHigh !== undefined) {
+                                controller.setSetpointRange(command.setpointLow, command.setpointHigh);
+                            }
                             if (command.away !== undefined) {
                                 controller.setAwayMode(command.away);
                             }
-                            if (command.boost !== undefined) {
-                                if (command.boost === false) {
-                                    controller.setBoost(false);
-                                } else if (command.boost && command.boost.relative) {
-                                    // Relative boost: add X degrees to current target
-                                    const boostTemp = controller.targetTemp + command.boost.relative;
-                                    controller.setBoost({ temp: boostTemp, duration: command.boost.duration });
+                            if (command.window !== undefined) {
+                                controller.setWindowState(command.window);
+                                windowFromPreset = command.window === true;
+                            }
+                            if (command.windowPreset === false && windowFromPreset) {
+                                if (controller.windowContact === true) {
+                                    controller.setWindowState(null);
+                                }
+                                windowFromPreset = false;
+                            }
+                            if (command.eco !== undefined) {
+                                controller.setEco(command.eco);
+                            }
+                            if (command.scheduleProfile !== undefined) {
+                                if (controller.setScheduleProfile(command.scheduleProfile)) {
+                                    saveStateToFile(node.id, controller.getState());
+                                    node.log(`Schedule profile changed to ${command.scheduleProfile}`);
                                 } else {
-                                    controller.setBoost(command.boost);
+                                    node.warn(`Unknown schedule profile: ${command.scheduleProfile}`);
                                 }
                             }
+                            if (command.boost !== undefined) {
+                                controller.setBoost(command.boost);
+                            }
                             node.log('MQTT command received from HA');
                         });
                     };
@@ -236,14 +437,39 @@ module.exports = function(RED) {
             node.log('Restored controller state (Kp=' + savedState.Kp + ', Ki=' + savedState.Ki + ', Kd=' + savedState.Kd + ')');
         }
 
+        // Load schedule profiles from UI config (if enabled and no runtime profiles already set).
+        // The weekly schedule of the Schedule tab is the "default" profile.
+        if (config.scheduleEnabled && Object.keys(controller.scheduleProfiles).length === 0) {
+            const timezone = config.scheduleTimezone || 'local';
+            const profiles = {};
+            if (config.scheduleConfig) {
+                profiles.default = { ...config.scheduleConfig, timezone };
+            }
+            Object.keys(config.scheduleProfiles || {}).forEach(name => {
+                profiles[name] = { ...config.scheduleProfiles[name], timezone };
+            });
+            controller.setScheduleProfiles(profiles);
+        }
+
         // Load default schedule from UI config (if enabled and no runtime schedule already set)
-        if (config.scheduleEnabled && config.scheduleConfig && !controller.schedule) {
-            const scheduleWithTimezone = {
-                ...config.scheduleConfig,
-                timezone: config.scheduleTimezone || 'local'
-            };
-            controller.setSchedule(scheduleWithTimezone);
-            node.log('Loaded default schedule from UI config (timezone: ' + scheduleWithTimezone.timezone + ')');
+        if (config.scheduleEnabled && !controller.schedule) {
+            const profile = controller.scheduleProfiles[config.scheduleProfile] ? config.scheduleProfile : 'default';
+            if (controller.setScheduleProfile(profile)) {
+                node.log('Loaded schedule profile "' + profile + '" from UI config (timezone: ' + controller.schedule.timezone + ')');
+            }
+        }
+        updateMqttScheduleProfiles();
+
+        // Restore statistics of the current and previous month
+        if (stats) {
+            const month = RuntimeStats.keys(Date.now()).dayKey.slice(0, 7);
+            [RuntimeStats.shiftMonth(month, -1), month].forEach(key => stats.loadMonth(loadStatsFile(node.id, key)));
+            pruneStatsFiles(node.id, statsRetention);
+        }
+
+        // Load calendar file (replaces a calendar restored from state)
+        if (calendarFile) {
+            loadCalendarFile(calendarFile);
         }
 
         // Synchronize schedule state on startup (ensures correct target temp even if deployed mid-schedule)
@@ -252,6 +478,47 @@ module.exports = function(RED) {
             node.log('Schedule synchronized on startup (target: ' + targetTemp + '°C)');
         }
 
+        /**
+         * Save statistics months changed since the last save
+         */
+        function saveStats() {
+            if (!stats) return;
+            const months = stats.takeDirtyMonths();
+            months.forEach(month => saveStatsFile(node.id, month, stats.getMonth(month)));
+            if (months.length > 1) {
+                // A new month started - drop files beyond the retention
+                pruneStatsFiles(node.id, statsRetention);
+            }
+        }
+
+        /**
+         * Load an ICS file into the controller
+         * @returns {boolean} true if loaded
+         */
+        function loadCalendarFile(filePath) {
+            try {
+                calendarMtime = fs.statSync(filePath).mtimeMs;
+                const count = controller.setCalendar(fs.readFileSync(filePath, 'utf8'));
+                node.log(`Calendar loaded from ${filePath} (${count} events)`);
+                return true;
+            } catch (err) {
+                node.warn('Could not load calendar file: ' + err.message);
+                return false;
+            }
+        }
+
+        /**
+         * Offer the current schedule profiles in the Home Assistant select entity
+         */
+        function updateMqttScheduleProfiles() {
+            if (!mqttIntegration) return;
+
+            mqttIntegration.updateConfig({ scheduleProfiles: Object.keys(controller.scheduleProfiles) });
+            if (mqttClient && mqttClient.connected) {
+                mqttIntegration.publishDiscovery(mqttClient);
+            }
+        }
+
         // Update node status
         function updateStatus(result) {
             const state = result.debug.state;
@@ -266,17 +533,51 @@ module.exports = function(RED) {
             let text = '';
 
             const activeMode = result.debug.activeMode || 'heat';
+            const outputText = outputMode === 'tpi'
+                ? `${result.debug.demand}%`
+                : outputMode === 'valve' ? `${result.output}%` : `${result.output}°C`;
+            const target = result.debug.dualSetpoint
+                ? `${result.debug.targetTempLow}-${result.debug.targetTempHigh}`
+                : result.debug.targetTemp;
 
             // Status prefix for special modes
             let prefix = '';
-            if (boostActive) {
-                prefix = `🚀 BOOST (${result.debug.boostRemaining}m) `;
+            if (result.debug.frostProtectionActive) {
+                // Frost protection heats in any mode, even off or with an open window
+                prefix = '❄️ FROST ';
+                fill = 'blue';
+                shape = 'dot';
+            } else if (result.debug.autotune && result.debug.autotune.active) {
+                prefix = `🔧 AUTOTUNE ${result.debug.autotune.cycle}/${result.debug.autotune.cycles} `;
+                fill = 'yellow';
+                shape = 'dot';
+            } else if (result.debug.windowOpen) {
+                // Open window pauses regulation, even during boost
+                prefix = result.debug.windowRemaining > 0 ? `🪟 WINDOW (${result.debug.windowRemaining}m) ` : '🪟 WINDOW ';
+                fill = 'blue';
+            } else if (boostActive) {
+                prefix = result.debug.boostRemaining !== null
+                    ? `🚀 BOOST (${result.debug.boostRemaining}m) `
+                    : `🚀 BOOST (→${result.debug.boostTemp}°) `;
                 fill = 'yellow';
                 shape = 'dot';
             } else if (awayMode) {
-                prefix = '🏠 AWAY ';
+                if (typeof result.debug.awayRemaining !== 'number') {
+                    prefix = '🏠 AWAY ';
+                } else {
+                    const remaining = formatDuration(result.debug.awayRemaining);
+                    prefix = result.debug.awayWarmUp ? `🏠⏫ AWAY (${remaining}) ` : `🏠 AWAY (${remaining}) `;
+                }
+            } else if (result.debug.ecoActive && operatingMode !== 'off') {
+                prefix = '🌿 ECO ';
             } else if (operatingMode === 'schedule') {
-                prefix = result.debug.scheduleOverrideActive ? '📅🔧 ' : '📅 ';
+                if (result.debug.scheduleOverrideActive) {
+                    prefix = '📅🔧 ';
+                } else if (result.debug.calendarEvent) {
+                    prefix = `🗓️ ${result.debug.calendarEvent.summary} `;
+                } else {
+                    prefix = result.debug.preheatActive ? '📅⏫ ' : '📅 ';
+                }
             } else if (operatingMode === 'off') {
                 fill = 'grey';
                 shape = 'ring';
@@ -284,11 +585,31 @@ module.exports = function(RED) {
                 return;
             }
 
+            if (result.debug.sensorFault) {
+                const reason = String(result.debug.sensorFaultReason).toUpperCase();
+                const failsafeText = outputMode === 'valve' ? `${result.output}%` : `${result.output}°C`;
+                node.status({ fill: 'red', shape: 'ring', text: `${prefix}⚠️ SENSOR ${reason} → failsafe ${failsafeText}` });
+                return;
+            }
+
+            if (trend === 'window') {
+                text = `${prefix}⏸ 🌡️${result.debug.currentTemp}°C → ${result.output}°C`;
+                node.status({ fill, shape, text });
+                return;
+            }
+
+            if (trend === 'autotune') {
+                const relayIcon = result.debug.autotune.relayOn ? (activeMode === 'cool' ? '❄️' : '🔥') : '⏸';
+                text = `${prefix}🌡️${result.debug.currentTemp}°C → 🎯${target}°C → ${relayIcon}${outputText}`;
+                node.status({ fill, shape, text });
+                return;
+            }
+
             if (state === 'learning') {
                 fill = boostActive ? 'yellow' : 'yellow';
                 shape = 'dot';
                 const setpointIcon = activeMode === 'heat' ? '🔥' : '❄️';
-                text = `${prefix}Learning... 🌡️${result.debug.currentTemp}°C → 🎯${result.debug.targetTemp}°C → ${setpointIcon}${result.output}°C`;
+                text = `${prefix}Learning... 🌡️${result.debug.currentTemp}°C → 🎯${target}°C → ${setpointIcon}${outputText}`;
             } else if (trend === 'idle') {
                 fill = boostActive ? 'yellow' : 'grey';
                 text = `${prefix}Idle at ${result.debug.currentTemp}°C`;
@@ -298,19 +619,190 @@ module.exports = function(RED) {
             } else {
                 if (Math.abs(error) < controllerConfig.hysteresis) {
                     fill = boostActive ? 'yellow' : 'green';
-                    text = `${prefix}✅ 🌡️${result.debug.currentTemp}°C (🎯${result.debug.targetTemp}°C)`;
+                    text = `${prefix}✅ 🌡️${result.debug.currentTemp}°C (🎯${target}°C)`;
                 } else if (activeMode === 'heat') {
                     fill = boostActive ? 'yellow' : 'red';
-                    text = `${prefix}🌡️${result.debug.currentTemp}°C → 🎯${result.debug.targetTemp}°C → 🔥${result.output}°C`;
+                    text = `${prefix}🌡️${result.debug.currentTemp}°C → 🎯${target}°C → 🔥${outputText}`;
                 } else {
                     fill = boostActive ? 'yellow' : 'blue';
-                    text = `${prefix}🌡️${result.debug.currentTemp}°C → 🎯${result.debug.targetTemp}°C → ❄️${result.output}°C`;
+                    text = `${prefix}🌡️${result.debug.currentTemp}°C → 🎯${target}°C → ❄️${outputText}`;
                 }
             }
 
+            // Compressor protection holding the output
+            if (result.debug.compressorHold) {
+                text += ` ⏳${result.debug.compressorHoldRemaining}m`;
+            }
+
             node.status({ fill, shape, text });
         }
 
+        /**
+         * Update status, publish to MQTT and send result on all outputs
+         */
+        function emitResult(result, topic, send) {
+            sensorFaultReported = result.debug.sensorFault;
+            lastTopic = topic;
+
+            // Report end of autotune experiment
+            const autotune = result.debug.autotune;
+            if (autotuneRunning && autotune && !autotune.active) {
+                if (autotune.status === 'done') {
+                    node.log(`Autotune finished (Ku=${autotune.Ku}, Pu=${autotune.Pu}s → Kp=${autotune.Kp}, Ki=${autotune.Ki}, Kd=${autotune.Kd})`);
+                    if (autotune.clamped && autotune.clamped.length > 0) {
+                        node.warn(`Autotune gains limited: ${autotune.clamped.join(', ')}`);
+                    }
+                } else {
+                    node.warn(`Autotune ${autotune.status} (${autotune.reason}) - PID parameters unchanged`);
+                }
+            }
+            autotuneRunning = !!(autotune && autotune.active);
+
+            // Time-proportional output: relay state is driven by the TPI timer
+            let relayChanged = false;
+            if (tpi) {
+                tpi.setDemand(result.debug.demand);
+                relayChanged = tpi.tick();
+                result.debug.dutyCycle = tpi.getDutyCycle();
+                result.debug.relayOn = tpi.relayOn;
+            }
+
+            // Determine if heating/cooling system should be active
+            // This output can be used to control: boiler, circulation pump, AC unit, etc.
+            // Uses hysteresis with "latch" - remembers state until threshold crossed
+            const activeMode = result.debug.activeMode;
+            const error = result.debug.error; // positive = need heat, negative = need cool
+            const operatingMode = result.debug.operatingMode;
+            const hysteresis = controllerConfig.hysteresis;
+            // Setpoint in the room's frame (output may be shifted by the learned TRV offset)
+            const roomOutput = result.debug.valveFrame ? result.output - result.debug.valveOffset : result.output;
+
+            let isActive = false;
+
+            if (tpi) {
+                isActive = tpi.relayOn;
+            } else if (autotuneRunning) {
+                // Autotune drives the relay itself
+                wasHeatingActive = false;
+                wasCoolingActive = false;
+                isActive = autotune.relayOn;
+            } else if (!result.debug.frostProtectionActive &&
+                (operatingMode === 'off' || result.debug.sensorFault || result.debug.windowOpen)) {
+                // OFF mode, sensor fault (failsafe setpoint) or open window - nothing active
+                wasHeatingActive = false;
+                wasCoolingActive = false;
+                isActive = false;
+            } else if (activeMode === 'heat') {
+                // Heating mode with hysteresis latch and proactive activation:
+                // - Turn ON when temp drops below (target - hysteresis)
+                // - Turn ON proactively when PID requests heat AND temp is falling
+                // - Turn OFF when temp reaches target
+                // - In between: keep previous state
+                const setpointAboveTarget = outputMode === 'valve'
+                    ? result.debug.demand > 0
+                    : roomOutput > result.debug.targetTemp + controllerConfig.precision;
+                const tempFalling = result.debug.trend === 'cooling';
+
+                if (error > hysteresis) {
+                    // Too cold - definitely need heating
+                    wasHeatingActive = true;
+                } else if (setpointAboveTarget && tempFalling && error > 0) {
+                    // Proactive: PID requests heating AND temp is falling AND we're below target
+                    // Start heating early to prevent deep temperature drops (better for heat pumps)
+                    wasHeatingActive = true;
+                } else if (error <= 0) {
+                    // Reached or exceeded target - stop heating
+                    wasHeatingActive = false;
+                }
+                // else: in hysteresis zone without proactive conditions - keep previous state
+                isActive = wasHeatingActive;
+            } else if (activeMode === 'cool') {
+                // Cooling mode with hysteresis latch and proactive activation:
+                // - Turn ON when temp rises above (target + hysteresis)
+                // - Turn ON proactively when PID requests cooling AND temp is rising
+                // - Turn OFF when temp reaches target
+                // - In between: keep previous state
+                const setpointBelowTarget = outputMode === 'valve'
+                    ? result.debug.demand > 0
+                    : roomOutput < result.debug.targetTemp - controllerConfig.precision;
+                const tempRising = result.debug.trend === 'warming';
+
+                if (error < -hysteresis) {
+                    // Too hot - definitely need cooling
+                    wasCoolingActive = true;
+                } else if (setpointBelowTarget && tempRising && error < 0) {
+                    // Proactive: PID requests cooling AND temp is rising AND we're above target
+                    // Start cooling early to prevent temperature spikes
+                    wasCoolingActive = true;
+                } else if (error >= 0) {
+                    // Reached or dropped below target - stop cooling
+                    wasCoolingActive = false;
+                }
+                // else: in hysteresis zone without proactive conditions - keep previous state
+                isActive = wasCoolingActive;
+            }
+
+            // Compressor short-cycle protection - may hold output 3 (also the TPI relay) and the setpoint
+            if (controller.compressor) {
+                const protection = controller.applyCompressorProtection(result, isActive);
+                isActive = protection.active;
+                relayChanged = protection.changed;
+                if (protection.changed) {
+                    saveStateToFile(node.id, controller.getState());
+                }
+            }
+
+            // Runtime statistics (in TPI mode relay switches are also recorded by the TPI timer)
+            if (stats) {
+                const regulating = operatingMode !== 'off' && !result.debug.sensorFault;
+                stats.record({
+                    active: isActive,
+                    load: outputMode === 'valve' ? result.output / 100 : null,
+                    valve: outputMode === 'valve' ? result.output : null,
+                    offset: outputMode !== 'valve' && regulating ? roomOutput - result.debug.targetTemp : null,
+                    error: regulating && typeof result.debug.currentTemp === 'number' ? error : null,
+                    outdoorTemp: typeof result.debug.outdoorTemp === 'number' ? result.debug.outdoorTemp : null
+                });
+            }
+
+            // Update node status
+            updateStatus(result);
+
+            // Publish state to MQTT if enabled
+            if (mqttIntegration && mqttClient && mqttClient.connected) {
+                mqttIntegration.publishState(mqttClient, result);
+                if (stats) {
+                    mqttIntegration.publishStats(mqttClient, stats.getToday());
+                }
+            }
+
+            // Send output messages
+            const msg1 = {
+                payload: result.output,
+                topic: topic || 'thermostat/setpoint'
+            };
+
+            const msg2 = {
+                payload: result.debug,
+                topic: topic ? topic + '/debug' : 'thermostat/debug'
+            };
+
+            const msg3 = createActiveMessage(isActive, topic);
+
+            // In TPI mode output 3 is only sent when the relay switches
+            send([msg1, msg2, tpi && !relayChanged ? null : msg3]);
+        }
+
+        /**
+         * Create output 3 message
+         */
+        function createActiveMessage(isActive, topic) {
+            return {
+                payload: activeOutputFormat === 'number' ? (isActive ? 1 : 0) : isActive,
+                topic: topic ? topic + '/active' : 'thermostat/active'
+            };
+        }
+
         // Handle input messages
         node.on('input', function(msg, send, done) {
             // Use send function or fallback for older Node-RED
@@ -325,23 +817,189 @@ module.exports = function(RED) {
                 node.log('Schedule updated');
             }
 
+            // Handle named schedule profiles ({ name: schedule, ... })
+            if (msg.schedules !== undefined) {
+                if (controller.setScheduleProfiles(msg.schedules)) {
+                    stateChanged = true;
+                    updateMqttScheduleProfiles();
+                    node.log(`Schedule profiles updated (${Object.keys(controller.scheduleProfiles).join(', ')})`);
+                } else {
+                    node.warn('Invalid msg.schedules - expected an object of named schedules');
+                }
+            }
+
+            // Handle schedule profile selection
+            if (msg.scheduleProfile !== undefined) {
+                if (controller.setScheduleProfile(msg.scheduleProfile)) {
+                    stateChanged = true;
+                    node.log(`Schedule profile changed to ${msg.scheduleProfile}`);
+                } else {
+                    node.warn(`Unknown schedule profile: ${msg.scheduleProfile}`);
+                }
+            }
+
+            // Handle calendar: ICS text, path of an ICS file, or false/"" to remove
+            if (msg.ics !== undefined) {
+                const ics = msg.ics ? String(msg.ics) : '';
+                if (!ics || /^\s*BEGIN:VCALENDAR/.test(ics)) {
+                    const count = controller.setCalendar(ics);
+                    stateChanged = true;
+                    node.log(ics ? `Calendar loaded (${count} events)` : 'Calendar removed');
+                } else if (loadCalendarFile(ics.trim())) {
+                    stateChanged = true;
+                }
+            }
+
             // Handle boost mode
             if (msg.boost !== undefined) {
-                controller.setBoost(msg.boost);
-                if (msg.boost === false) {
-                    node.log('Boost mode disabled');
-                } else if (msg.boost && msg.boost.temp && msg.boost.duration) {
-                    node.log(`Boost mode: ${msg.boost.temp}°C for ${msg.boost.duration} minutes`);
+                if (!controller.setBoost(msg.boost)) {
+                    node.warn('Invalid msg.boost - expected temp or relative, and duration, until or untilReached');
+                } else {
+                    stateChanged = true;
+                    if (msg.boost === false) {
+                        node.log('Boost mode disabled');
+                    } else {
+                        const remaining = controller.getBoostRemaining();
+                        node.log(`Boost mode: ${controller.boostTemp}°C ` +
+                            (remaining !== null ? `for ${remaining} minutes` : 'until reached'));
+                    }
                 }
             }
 
             // Handle away mode
             if (msg.away !== undefined) {
-                controller.setAwayMode(msg.away);
-                if (msg.away === false) {
-                    node.log('Away mode disabled');
+                if (!controller.setAwayMode(msg.away)) {
+                    node.warn('Invalid msg.away - expected true/false, a temperature or {temp, until} with a future return time');
+                } else {
+                    stateChanged = true;
+                    if (msg.away === false) {
+                        node.log('Away mode disabled');
+                    } else {
+                        const until = controller.awayUntil !== null
+                            ? ` until ${new Date(controller.awayUntil).toISOString()}` : '';
+                        node.log(`Away mode enabled (${controller.awayTemp}°C${until})`);
+                    }
+                }
+            }
+
+            // Statistics query: true (last 7 days, 24 hours), { days, hours } or { from, to }
+            if (msg.getStats !== undefined && msg.getStats !== false) {
+                if (stats) {
+                    const query = typeof msg.getStats === 'object' && msg.getStats !== null ? msg.getStats : {};
+                    const invalid = ['from', 'to'].filter(key => query[key] !== undefined && !RuntimeStats.isDayKey(query[key]));
+                    if (invalid.length > 0) {
+                        node.warn(`msg.getStats: ${invalid.join(' and ')} must be a date "YYYY-MM-DD"`);
+                    } else {
+                        const payload = stats.query(query, Date.now(), month => loadStatsFile(node.id, month));
+                        payload.today = stats.getToday();
+                        send([null, { payload, topic: msg.topic ? msg.topic + '/stats' : 'thermostat/stats' }, null]);
+                    }
+                } else {
+                    node.warn('msg.getStats: runtime statistics are disabled');
+                }
+            }
+
+            // Handle occupant presence ({ person: true/false })
+            if (msg.presence !== undefined) {
+                const wasEco = controller.isEcoActive();
+                if (controller.setPresence(msg.presence)) {
+                    stateChanged = true;
+                    const occupied = controller.isOccupied();
+                    if (occupied && wasEco) {
+                        node.log('Someone arrived - eco setback ended');
+                    } else if (occupied === false && !wasEco) {
+                        // Without grace period eco is active right away
+                        node.log(controller.isEcoActive()
+                            ? 'Nobody home - eco setback active'
+                            : `Nobody home - eco setback in ${controller.getEcoPending()} minutes`);
+                    }
                 } else {
-                    node.log(`Away mode enabled (${typeof msg.away === 'number' ? msg.away + '°C' : 'default temp'})`);
+                    node.warn('Invalid msg.presence - expected an object like {"anna": true, "tom": false}');
+                }
+            }
+
+            // Handle manual eco setback
+            if (msg.eco !== undefined) {
+                controller.setEco(msg.eco);
+                stateChanged = true;
+                node.log(msg.eco === true ? 'Eco setback enabled' : 'Eco setback disabled');
+            }
+
+            // Handle window contact sensor (true/"open", false/"closed", null/"auto" = heuristic)
+            if (msg.window !== undefined) {
+                const windowMap = { open: true, on: true, '1': true, closed: false, off: false, '0': false, auto: null };
+                const windowState = typeof msg.window === 'string' || typeof msg.window === 'number'
+                    ? windowMap[String(msg.window).toLowerCase()]
+                    : msg.window;
+                if (windowState === true || windowState === false || windowState === null) {
+                    controller.setWindowState(windowState);
+                    windowFromPreset = false;
+                    stateChanged = true;
+                    node.log(`Window ${windowState === null ? 'contact cleared (auto detection)' : (windowState ? 'opened' : 'closed')}`);
+                }
+            }
+
+            // Handle TRV internal sensor temperature (offset learning)
+            if (msg.valveTemp !== undefined) {
+                const valveTemp = parseFloat(msg.valveTemp);
+                if (!isNaN(valveTemp)) {
+                    controller.setValveTemp(valveTemp);
+                }
+            }
+
+            // Handle autotune command (true = start, false = abort)
+            if (msg.autotune !== undefined) {
+                if (msg.autotune === true) {
+                    if (controller.startAutotune()) {
+                        node.log('Autotune started');
+                    } else {
+                        node.warn('Autotune not started - needs a temperature reading, regulation on and no open window or sensor fault');
+                    }
+                } else if (msg.autotune === false && controller.autotune) {
+                    controller.stopAutotune('aborted', 'user');
+                    autotuneRunning = false;
+                    node.log('Autotune aborted');
+                }
+            }
+
+            // Manual PID parameters ({ Kp, Ki, Kd }, missing ones unchanged)
+            if (msg.pid !== undefined) {
+                if (controller.setPID(msg.pid)) {
+                    stateChanged = true;
+                    node.log(`PID parameters set manually (Kp=${controller.Kp}, Ki=${controller.Ki}, Kd=${controller.Kd})`);
+                } else {
+                    node.warn('msg.pid: expected {Kp, Ki, Kd} with non-negative numbers');
+                }
+            }
+
+            // Return to earlier PID parameters (true = previous, n = n history entries back)
+            if (msg.pidRollback !== undefined && msg.pidRollback !== false) {
+                const entry = controller.rollbackPID(msg.pidRollback);
+                if (entry) {
+                    stateChanged = true;
+                    node.log(`PID parameters rolled back to ${entry.reason} gains of ${new Date(entry.time).toISOString()} (Kp=${controller.Kp}, Ki=${controller.Ki}, Kd=${controller.Kd})`);
+                } else {
+                    node.warn('msg.pidRollback: no such entry in the PID tuning history');
+                }
+            }
+
+            // Control quality query (last steps and days)
+            if (msg.getQuality) {
+                const payload = controller.quality.getHistory();
+                send([null, { payload, topic: msg.topic ? msg.topic + '/quality' : 'thermostat/quality' }, null]);
+            }
+
+            // PID tuning history query
+            if (msg.getPidHistory) {
+                const payload = { gainSet: controller.getGainSetKey(), history: controller.pidHistory, frozen: controller.pidFrozen };
+                send([null, { payload, topic: msg.topic ? msg.topic + '/pid-history' : 'thermostat/pid-history' }, null]);
+            }
+
+            // Handle outdoor temperature (weather compensation)
+            if (msg.outdoorTemp !== undefined) {
+                const outdoorTemp = parseFloat(msg.outdoorTemp);
+                if (!isNaN(outdoorTemp)) {
+                    controller.setOutdoorTemp(outdoorTemp);
                 }
             }
 
@@ -364,6 +1022,16 @@ module.exports = function(RED) {
                 }
             }
 
+            // Handle low/high setpoint change (heat_cool deadband)
+            if (msg.setpointLow !== undefined || msg.setpointHigh !== undefined) {
+                const newLow = parseFloat(msg.setpointLow);
+                const newHigh = parseFloat(msg.setpointHigh);
+                if (!isNaN(newLow) || !isNaN(newHigh)) {
+                    controller.setSetpointRange(newLow, newHigh);
+                    node.log(`Setpoint range changed to ${controller.targetTempLow}-${controller.targetTempHigh}°C`);
+                }
+            }
+
             // Handle mode change (accepts both HA HVAC and legacy names)
             if (msg.mode !== undefined) {
                 const newMode = String(msg.mode).toLowerCase();
@@ -381,14 +1049,44 @@ module.exports = function(RED) {
             }
 
             // Get temperature from payload
-            const currentTemp = parseFloat(msg.payload);
+            let currentTemp = parseFloat(msg.payload);
+
+            // Multi-sensor fusion: store reading per sensor and regulate on the fused value
+            let fused = null;
+            if (fusion && !isNaN(currentTemp)) {
+                fusion.addReading(msg.sensor !== undefined ? msg.sensor : (msg.topic || 'default'), currentTemp);
+                fused = fusion.fuse();
+                if (fused.value === null) {
+                    // No usable sensor - leave the reading to the sensor timeout / failsafe
+                    node.warn('No valid sensor reading to fuse - temperature not updated');
+                    if (done) done();
+                    return;
+                }
+                currentTemp = fused.value;
+            }
 
             // Check if any configuration was changed in this message
             const configChanged = stateChanged ||
+                msg.schedules !== undefined ||
+                msg.scheduleProfile !== undefined ||
+                msg.ics !== undefined ||
                 msg.boost !== undefined ||
                 msg.away !== undefined ||
+                msg.presence !== undefined ||
+                msg.getStats !== undefined ||
+                msg.pid !== undefined ||
+                msg.pidRollback !== undefined ||
+                msg.getPidHistory !== undefined ||
+                msg.getQuality !== undefined ||
+                msg.eco !== undefined ||
+                msg.window !== undefined ||
+                msg.outdoorTemp !== undefined ||
+                msg.valveTemp !== undefined ||
+                msg.autotune !== undefined ||
                 msg.operatingMode !== undefined ||
                 msg.setpoint !== undefined ||
+                msg.setpointLow !== undefined ||
+                msg.setpointHigh !== undefined ||
                 msg.mode !== undefined;
 
             if (isNaN(currentTemp)) {
@@ -414,101 +1112,83 @@ module.exports = function(RED) {
             // Save state only when PID parameters changed (after learning or adaptation)
             if (controller.hasParametersChanged()) {
                 saveStateToFile(node.id, controller.getState());
-                node.log('PID parameters updated and saved (Kp=' + result.debug.pid.Kp + ', Ki=' + result.debug.pid.Ki + ', Kd=' + result.debug.pid.Kd + ')');
+                node.log('PID parameters updated and saved (Kp=' + result.debug.pid.Kp + ', Ki=' + result.debug.pid.Ki + ', Kd=' + result.debug.pid.Kd + ', Kf=' + result.debug.pid.Kf + ', valveOffset=' + result.debug.valveOffset + ')');
             }
 
-            // Update node status
-            updateStatus(result);
-
-            // Publish state to MQTT if enabled
-            if (mqttIntegration && mqttClient && mqttClient.connected) {
-                mqttIntegration.publishState(mqttClient, result);
+            // Topic identifies the sensor when fusing - outputs use the default topics
+            if (fused) {
+                result.debug.sensors = fused.sensors;
             }
+            emitResult(result, fusion ? null : msg.topic, send);
 
-            // Determine if heating/cooling system should be active
-            // This output can be used to control: boiler, circulation pump, AC unit, etc.
-            // Uses hysteresis with "latch" - remembers state until threshold crossed
-            const activeMode = result.debug.activeMode;
-            const error = result.debug.error; // positive = need heat, negative = need cool
-            const operatingMode = result.debug.operatingMode;
-            const hysteresis = controllerConfig.hysteresis;
-
-            let isActive = false;
-
-            if (operatingMode === 'off') {
-                // OFF mode - nothing active
-                wasHeatingActive = false;
-                wasCoolingActive = false;
-                isActive = false;
-            } else if (activeMode === 'heat') {
-                // Heating mode with hysteresis latch and proactive activation:
-                // - Turn ON when temp drops below (target - hysteresis)
-                // - Turn ON proactively when PID requests heat AND temp is falling
-                // - Turn OFF when temp reaches target
-                // - In between: keep previous state
-                const setpointAboveTarget = result.output > result.debug.targetTemp + controllerConfig.precision;
-                const tempFalling = result.debug.trend === 'cooling';
-
-                if (error > hysteresis) {
-                    // Too cold - definitely need heating
-                    wasHeatingActive = true;
-                } else if (setpointAboveTarget && tempFalling && error > 0) {
-                    // Proactive: PID requests heating AND temp is falling AND we're below target
-                    // Start heating early to prevent deep temperature drops (better for heat pumps)
-                    wasHeatingActive = true;
-                } else if (error <= 0) {
-                    // Reached or exceeded target - stop heating
-                    wasHeatingActive = false;
-                }
-                // else: in hysteresis zone without proactive conditions - keep previous state
-                isActive = wasHeatingActive;
-            } else if (activeMode === 'cool') {
-                // Cooling mode with hysteresis latch and proactive activation:
-                // - Turn ON when temp rises above (target + hysteresis)
-                // - Turn ON proactively when PID requests cooling AND temp is rising
-                // - Turn OFF when temp reaches target
-                // - In between: keep previous state
-                const setpointBelowTarget = result.output < result.debug.targetTemp - controllerConfig.precision;
-                const tempRising = result.debug.trend === 'warming';
+            if (done) done();
+        });
 
-                if (error < -hysteresis) {
-                    // Too hot - definitely need cooling
-                    wasCoolingActive = true;
-                } else if (setpointBelowTarget && tempRising && error < 0) {
-                    // Proactive: PID requests cooling AND temp is rising AND we're above target
-                    // Start cooling early to prevent temperature spikes
-                    wasCoolingActive = true;
-                } else if (error >= 0) {
-                    // Reached or dropped below target - stop cooling
-                    wasCoolingActive = false;
+        // Sensor watchdog - detects missing readings and drives the failsafe setpoint
+        if (controllerConfig.sensorTimeout > 0 || controllerConfig.sensorFrozenTimeout > 0) {
+            sensorWatchdog = setInterval(() => {
+                const fault = controller.checkSensorHealth();
+                if (fault && !sensorFaultReported) {
+                    node.warn(`Temperature sensor fault (${fault}) - switching to failsafe setpoint`);
+                    emitResult(controller.updateWithoutReading(), null, node.send.bind(node));
                 }
-                // else: in hysteresis zone without proactive conditions - keep previous state
-                isActive = wasCoolingActive;
-            }
-
-            // Send output messages
-            const msg1 = {
-                payload: result.output,
-                topic: msg.topic || 'thermostat/setpoint'
-            };
-
-            const msg2 = {
-                payload: result.debug,
-                topic: msg.topic ? msg.topic + '/debug' : 'thermostat/debug'
-            };
+            }, Math.min(controllerConfig.sampleInterval, 60000));
+        }
 
-            const msg3 = {
-                payload: activeOutputFormat === 'number' ? (isActive ? 1 : 0) : isActive,
-                topic: msg.topic ? msg.topic + '/active' : 'thermostat/active'
-            };
+        // Calendar file reload (checked every minute)
+        if (calendarFile) {
+            calendarTimer = setInterval(() => {
+                fs.stat(calendarFile, (err, stats) => {
+                    if (!err && stats.mtimeMs !== calendarMtime) {
+                        loadCalendarFile(calendarFile);
+                    }
+                });
+            }, 60000);
+        }
 
-            send([msg1, msg2, msg3]);
+        // Statistics are saved every 10 minutes
+        if (stats) {
+            statsTimer = setInterval(saveStats, 600000);
+        }
 
-            if (done) done();
-        });
+        // TPI timer - switches the relay within each cycle
+        if (tpi) {
+            tpiTimer = setInterval(() => {
+                let changed = tpi.tick();
+                let relayOn = tpi.relayOn;
+                if (controller.compressor) {
+                    // Relay drives a compressor - minimum run/off times and starts per hour apply
+                    changed = controller.requestCompressor(tpi.relayOn);
+                    relayOn = controller.compressor.running;
+                    if (changed) {
+                        saveStateToFile(node.id, controller.getState());
+                    }
+                }
+                if (changed) {
+                    if (stats) {
+                        stats.record({ active: relayOn });
+                    }
+                    node.send([null, null, createActiveMessage(relayOn, lastTopic)]);
+                }
+            }, 1000);
+        }
 
         // Handle node close
         node.on('close', function(removed, done) {
+            if (sensorWatchdog) {
+                clearInterval(sensorWatchdog);
+            }
+            if (tpiTimer) {
+                clearInterval(tpiTimer);
+            }
+            if (calendarTimer) {
+                clearInterval(calendarTimer);
+            }
+            if (statsTimer) {
+                clearInterval(statsTimer);
+            }
+            saveStats();
+
             // Save state before closing
             saveStateToFile(node.id, controller.getState());
             node.log('Controller state saved to file');
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * Offline thermal simulation for @wrepinski/node-red-smart-thermostat
+ *
+ * Runs the adaptive controller against the bundled room model on a virtual
+ * clock and prints a control quality report.
+ *
+ * Usage: node scripts/simulate.js [hours] [config.json] [--csv]
+ *
+ * config.json (all optional):
+ *   {
+ *     "room": { "initialTemp": 17, "outdoorTemp": 0, "heatLoss": 0.1, "heaterGain": 3, "deadTime": 600000 },
+ *     "controller": { "targetTemp": 21, "precision": 0.5 },
+ *     "sampleInterval": 60000
+ *   }
+ */
+
+const fs = require('fs');
+const AdaptiveController = require('../lib/adaptive-controller');
+const ThermalSimulator = require('../lib/thermal-simulator');
+
+const args = process.argv.slice(2);
+const csv = args.includes('--csv');
+const positional = args.filter(arg => arg !== '--csv');
+const hours = parseFloat(positional[0]) || 12;
+const config = positional[1] ? JSON.parse(fs.readFileSync(positional[1], 'utf8')) : {};
+
+const simulator = new ThermalSimulator({ initialTemp: 17, outdoorTemp: 0, ...config.room });
+const controller = new AdaptiveController({
+    targetTemp: 21,
+    sensorTimeout: 0,
+    ...config.controller,
+    clock: simulator.clock
+});
+controller.setOutdoorTemp(simulator.outdoorTemp);
+
+const report = simulator.run(controller, {
+    duration: hours * 3600000,
+    sampleInterval: config.sampleInterval || 60000
+});
+
+if (csv) {
+    console.log('time_s,temp,target,output,valve_pct');
+    report.trajectory.forEach(s => console.log(`${s.time},${s.temp},${s.target},${s.output},${s.valve}`));
+} else {
+    const { trajectory, ...summary } = report;
+    console.log(JSON.stringify({
+        hours,
+        samples: trajectory.length,
+        ...summary,
+        finalTemp: trajectory[trajectory.length - 1].temp,
+        pid: { Kp: controller.Kp, Ki: controller.Ki, Kd: controller.Kd }
+    }, null, 2));
+}